@@ -25,11 +25,36 @@ const tinycolor = require('tinycolor2');
 const fs = require('fs');
 const path = require('path');
 
-const CONFIG_FILENAME = '.materialcolorsapp.json';
-const DEFAULT_VALUE_COPY_FORMAT = {
-  format: '$HUE $VALUE',
-  transform: 'Xx',
-};
+const {colorDifference, compareColors} = require('./color-spaces.js');
+const {Hct} = require('./hct.js');
+const {generateRamp} = require('./ramp.js');
+const {generateScheme} = require('./scheme.js');
+const {loadConfig, updateConfig, Palette, getCopyFormats, getDefaultCopyFormat,
+    renderCopyFormat} = require('./color-core.js');
+const {importPaletteFile} = require('./importers.js');
+const {EXPORT_TARGETS, getExportHues, getAndroidColorName, exportColors} = require('./exporters.js');
+const {getColorSyntax, parseColorLiteral, parseColorInput, findColorLiterals, formatColorLiteral,
+    guessHexOrder} = require('./literals.js');
+const {WCAG_LEVELS, CONTRAST_TARGETS, compositeOver, relativeLuminance, contrastRatio, getWcagResults,
+    getWcagLevel, apcaContrast, getTextColorsForBackground} = require('./contrast.js');
+const {CVD_SIMULATIONS, getCvdSimulation, simulateCvd, findConfusablePairs} = require('./vision.js');
+const {ELEVATION_OVERLAYS, getElevatedSurfaceColor} = require('./surfaces.js');
+
+const MAX_NAME_SEARCH_RESULTS = 24;
+const MAX_DETAIL_ALIASES = 4;
+const MAX_COMPARE_VALUES = 4;
+
+// the app's background, see themes.scss
+const SURFACE_COLORS = {light: '#fff', dark: '#3c3c3c'};
+
+// Material's standard emphasis levels
+const OPACITY_PRESETS = [
+  {alpha: 1, title: 'Opaque'},
+  {alpha: .87, title: 'High emphasis'},
+  {alpha: .6, title: 'Medium emphasis'},
+  {alpha: .38, title: 'Disabled'},
+  {alpha: .12, title: 'Dividers and disabled containers'},
+];
 
 
 class MaterialColors {
@@ -38,60 +63,116 @@ class MaterialColors {
     this.$contentArea = null;
     this.$_cache = {};
     this._lastCopiedColor = null;
+    this._sessionColors = {}; // generated hues that aren't saved to the config file
+    this._isPasteMode = false;
+    this._isContrastMode = false;
+    this._contrastColors = {text: '#212121', background: '#FFFFFF'};
+    this._contrastTargetId = 'aa';
+    this._isBlendMode = false;
+    this._blendColors = {foreground: '#FFFFFF', background: '#212121'};
+    this._blendAlpha = .08;
+    this._blendElevation = null; // blends onto the dark surface at this elevation (dp) if set
+    this._cvdSimulationId = null; // tiles are shown as with this color vision deficiency
+    this._tileAlphas = {}; // opacities picked for tiles, see _getTileKey
+    this._compareValues = []; // pinned with shift-click, kept while switching hues
+    this._compareView = 'differences';
+    this._importProblems = {}; // skipped entries for imported session hues
     this._loadConfig();
-
-    this.COLORS = require('./colors.js');
-    if (this._config.extraColors) {
-      this.COLORS[Object.keys(this.COLORS)[0]]._startGroup = true;
-      this.COLORS = {
-        ...this._config.extraColors,
-        ...this.COLORS,
-      };
-    };
-
-    this._searchableValues = [];
-    Object.keys(this.COLORS).forEach(hueName => {
-      let colorObj = this.COLORS[hueName];
-
-      (colorObj._groups || []).forEach(group => {
-        (group.colors || []).forEach(color => {
-          this._searchableValues.push({
-            hueName,
-            groupName: group.title || null,
-            valueName: color.name,
-            ...color
-          });
-        });
-      });
-
-      Object.keys(colorObj)
-          .filter(k => !k.startsWith('_'))
-          .forEach(valueName => {
-            this._searchableValues.push({
-              hueName,
-              valueName,
-              ...this.COLORS[hueName][valueName]
-            });
-          });
-    });
+    this._loadColors();
 
     this.CLASS_NAMES = {
       closeButton: 'close-button',
+      errorBanner: 'error-banner',
+      errorBannerClose: 'error-banner-close',
+      errorBannerProblem: 'error-banner-problem',
+      errorBannerProblemPath: 'error-banner-problem-path',
+      errorBannerSummary: 'error-banner-summary',
+      blendAlphaInput: 'blend-alpha-input',
+      blendBackgroundPicker: 'blend-background-picker',
+      blendButton: 'blend-button',
+      blendIcon: 'blend-icon',
+      blendInput: 'blend-input',
+      blendInputLabel: 'blend-input-label',
+      blendInputRow: 'blend-input-row',
+      blendInputSwatch: 'blend-input-swatch',
+      blendLabel: 'blend-label',
+      blendResults: 'blend-results',
+      blendSection: 'blend-section',
       colorTile: 'color-tile',
+      colorTileAlias: 'color-tile-alias',
       colorTileAlpha: 'color-tile-alpha',
+      colorTileCaption: 'color-tile-caption',
+      colorTileDeltaE: 'color-tile-delta-e',
       colorTileHex: 'color-tile-hex',
       colorTileHueName: 'color-tile-hue-name',
       colorTileValueName: 'color-tile-value-name',
+      compareDifference: 'compare-difference',
+      compareDifferenceNames: 'compare-difference-names',
+      compareHint: 'compare-hint',
+      compareSwapSample: 'compare-swap-sample',
+      compareSwatch: 'compare-swatch',
+      compareSwatchLabel: 'compare-swatch-label',
+      compareSwatches: 'compare-swatches',
+      compareTray: 'compare-tray',
+      compareTrayAction: 'compare-tray-action',
+      compareTrayHeader: 'compare-tray-header',
+      compareTrayTitle: 'compare-tray-title',
+      confusablePair: 'confusable-pair',
+      confusablePairDeltaE: 'confusable-pair-delta-e',
+      confusablePairLabel: 'confusable-pair-label',
+      confusablePairSwatch: 'confusable-pair-swatch',
+      confusableReport: 'confusable-report',
+      confusableReportHeading: 'confusable-report-heading',
       contentArea: 'content-area',
+      colorTileContrast: 'color-tile-contrast',
+      colorTileContrastSample: 'color-tile-contrast-sample',
+      contrastBadgeToggle: 'contrast-badge-toggle',
+      contrastButton: 'contrast-button',
+      contrastIcon: 'contrast-icon',
+      contrastInput: 'contrast-input',
+      contrastInputLabel: 'contrast-input-label',
+      contrastInputRow: 'contrast-input-row',
+      contrastInputSwatch: 'contrast-input-swatch',
+      contrastLabel: 'contrast-label',
+      contrastLevel: 'contrast-level',
+      contrastLevelResult: 'contrast-level-result',
+      contrastPreview: 'contrast-preview',
+      contrastPreviewLarge: 'contrast-preview-large',
+      contrastRatio: 'contrast-ratio',
+      contrastResults: 'contrast-results',
+      contrastSection: 'contrast-section',
+      contrastSuggestion: 'contrast-suggestion',
+      contrastSuggestionValue: 'contrast-suggestion-value',
+      contrastSuggestions: 'contrast-suggestions',
+      contrastTargetPicker: 'contrast-target-picker',
+      copyCode: 'copy-code',
+      copyCodesHeading: 'copy-codes-heading',
+      detailHeading: 'detail-heading',
+      detailNeighbor: 'detail-neighbor',
+      detailNeighborSwatch: 'detail-neighbor-swatch',
+      detailNote: 'detail-note',
+      detailPanel: 'detail-panel',
+      detailRow: 'detail-row',
+      detailRowLabel: 'detail-row-label',
       hue: 'hue',
       hueIcon: 'hue-icon',
       hueIconSelector: 'hue-icon-selector',
+      hasAlias: 'has-alias',
       hueLabel: 'hue-label',
+      importProblems: 'import-problems',
+      importProblemsHeading: 'import-problems-heading',
+      isActive: 'is-active',
+      isCurrent: 'is-current',
+      isDropTarget: 'is-drop-target',
+      isSession: 'is-session',
       isDarkMode: 'is-dark-mode',
+      isExpanded: 'is-expanded',
       isHidden: 'is-hidden',
+      isPassing: 'is-passing',
       isSelected: 'is-selected',
       isWhite: 'is-white',
       isLarge: 'is-large',
+      isPinned: 'is-pinned',
       menuButton: 'menu-button',
       searchButton: 'search-button',
       searchHelpText: 'search-help-text',
@@ -107,9 +188,34 @@ class MaterialColors {
       valueGroupHeading: 'value-group-heading',
       valueHeading: 'value-heading',
       valueList: 'value-list',
+      visionButton: 'vision-button',
+      visionIcon: 'vision-icon',
+      visionLabel: 'vision-label',
       notFoundIcon: 'not-found-icon',
       notFoundLabel: 'not-found-label',
+      opacityInput: 'opacity-input',
+      opacityPicker: 'opacity-picker',
+      opacityPreset: 'opacity-preset',
+      opacityPresets: 'opacity-presets',
+      opacitySurface: 'opacity-surface',
+      opacitySurfaceSwatch: 'opacity-surface-swatch',
       matchingMaterialLabel: 'matching-material-label',
+      pasteButton: 'paste-button',
+      pasteIcon: 'paste-icon',
+      pasteInput: 'paste-input',
+      pasteLabel: 'paste-label',
+      pasteResult: 'paste-result',
+      pasteResultCopy: 'paste-result-copy',
+      pasteResultSource: 'paste-result-source',
+      pasteResults: 'paste-results',
+      pasteSection: 'paste-section',
+      saveHueForm: 'save-hue-form',
+      saveHueNameInput: 'save-hue-name-input',
+      saveHueButton: 'save-hue-button',
+      saveHueLabel: 'save-hue-label',
+      searchAction: 'search-action',
+      showsContrastBadges: 'shows-contrast-badges',
+      tilePanel: 'tile-panel',
     };
 
     this._init();
@@ -122,7 +228,11 @@ class MaterialColors {
     this.$sidebar = $(`.${this.CLASS_NAMES.sidebar}`);
     this.$contentArea = $(`.${this.CLASS_NAMES.contentArea}`);
     this.$searchSection = $(`.${this.CLASS_NAMES.searchSection}`);
+    this.$pasteSection = $(`.${this.CLASS_NAMES.pasteSection}`);
+    this.$contrastSection = $(`.${this.CLASS_NAMES.contrastSection}`);
+    this.$blendSection = $(`.${this.CLASS_NAMES.blendSection}`);
     this.$valueList = $(`.${this.CLASS_NAMES.valueList}`);
+    this.$compareTray = $(`.${this.CLASS_NAMES.compareTray}`);
 
     this._buildUi();
 
@@ -147,9 +257,54 @@ class MaterialColors {
           .appendTo('body');
     });
 
+    electron.ipcRenderer.on('catalogs-updated', () => this._reloadColors());
+
+    electron.ipcRenderer.on('config-updated', (event, {renamedHues = {}} = {}) => {
+      if (renamedHues[this._selectedHueName]) {
+        this._selectedHueName = renamedHues[this._selectedHueName];
+      }
+
+      this._loadConfig();
+      this._reloadColors();
+    });
+
+    electron.ipcRenderer.on('import-palette-files', (event, filePaths) =>
+        this._importPaletteFiles(filePaths));
+
+    electron.ipcRenderer.on('export-palette', (event, targetId) =>
+        this._exportColors(targetId, Object.keys(this.COLORS)));
+
+    $(window)
+        .on('dragover', event => {
+          event.preventDefault();
+          $('body').addClass(this.CLASS_NAMES.isDropTarget);
+        })
+        .on('dragleave drop', event => {
+          event.preventDefault();
+          $('body').removeClass(this.CLASS_NAMES.isDropTarget);
+        })
+        .on('drop', event => {
+          let files = Array.from(event.originalEvent.dataTransfer.files || []);
+          if (files.length) {
+            this._importPaletteFiles(files.map(file => file.path));
+          }
+        });
+
     electron.ipcRenderer.on('dark-mode-updated', (event, isDarkMode) => {
       this.isDarkMode = isDarkMode;
       $('body').toggleClass(this.CLASS_NAMES.isDarkMode, isDarkMode);
+      $(`.${this.CLASS_NAMES.opacityPicker}`).trigger('refresh-picker');
+      // translucent colors are compared as they look on the app's background
+      this._updateCompareTray();
+      if (this._isContrastMode) {
+        // translucent backgrounds are checked over the app's background
+        this._updateContrast();
+      } else if (this._isBlendMode) {
+        this._updateBlend();
+      } else if (this._isSearchMode()) {
+        // translucent colors are shown over the app's background
+        this._onSearchInput({target: this.$searchSection.find(`.${this.CLASS_NAMES.searchInput}`).get(0)});
+      }
     });
 
     $(window).on('keydown keyup', event =>
@@ -160,8 +315,95 @@ class MaterialColors {
     $(window).on('focus', () => this._searchColorFromClipboard());
   }
 
+  _loadColors() {
+    let {palette, problems} = Palette.load({
+      homeDir: this._getHomeDirectory(),
+      config: this._config,
+      catalogIds: electron.ipcRenderer.sendSync('get-enabled-catalogs'),
+      sessionHues: this._sessionColors,
+    });
+
+    this._palette = palette;
+    this._colorProblems = problems;
+    this.COLORS = palette.colors;
+    this._searchableValues = palette.values;
+    this._nameSearchIndex = null;
+  }
+
+  _reloadColors() {
+    this._loadColors();
+    this._buildSidebar();
+    this._showProblems();
+
+    if (this._isPasteMode) {
+      this._selectPasteMode();
+    } else if (this._isContrastMode) {
+      this._selectContrastMode();
+    } else if (this._isBlendMode) {
+      this._selectBlendMode();
+    } else if (!this._selectedHueName) {
+      this._selectSearchMode();
+      // results may show colors or names that changed
+      this._onSearchInput({target: this.$searchSection.find(`.${this.CLASS_NAMES.searchInput}`).get(0)});
+    } else {
+      this._selectHue(this.COLORS[this._selectedHueName]
+          ? this._selectedHueName
+          : Object.keys(this.COLORS)[0]);
+    }
+  }
+
   _buildUi() {
-    let firstHueName;
+    this._buildSidebar();
+    this._selectHue(Object.keys(this.COLORS)[0]);
+    this._showProblems();
+  }
+
+  _showProblems() {
+    $(`.${this.CLASS_NAMES.errorBanner}`).remove();
+
+    let problems = [...this._configProblems, ...this._colorProblems];
+    if (!problems.length) {
+      return;
+    }
+
+    let $banner = $('<div>')
+        .addClass(this.CLASS_NAMES.errorBanner)
+        .appendTo('body');
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.errorBannerSummary)
+        .text(this._isUsingLastGoodConfig
+            ? 'Couldn\'t reload the config file, still using the last one that loaded'
+            : `${problems.length} ${problems.length == 1 ? 'problem' : 'problems'} `
+                + 'loading colors, bad entries were skipped')
+        .on('click', () => $banner.toggleClass(this.CLASS_NAMES.isExpanded))
+        .appendTo($banner);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.errorBannerClose)
+        .text('×')
+        .on('click', () => $banner.remove())
+        .appendTo($banner);
+
+    for (let {file, path, message} of problems) {
+      let $problem = $('<div>')
+          .addClass(this.CLASS_NAMES.errorBannerProblem)
+          .text(file)
+          .appendTo($banner);
+
+      if (path) {
+        $('<span>')
+            .addClass(this.CLASS_NAMES.errorBannerProblemPath)
+            .text(` ${path}`)
+            .appendTo($problem);
+      }
+
+      $problem.append(document.createTextNode(`: ${message}`));
+    }
+  }
+
+  _buildSidebar() {
+    this.$sidebar.empty();
 
     let $searchButton = $('<div>')
         .addClass(`${this.CLASS_NAMES.searchButton}`)
@@ -181,11 +423,83 @@ class MaterialColors {
         .text('Search')
         .appendTo($searchButton);
 
+    let $pasteButton = $('<div>')
+        .addClass(this.CLASS_NAMES.pasteButton)
+        .on('click', () => this._selectPasteMode())
+        .appendTo(this.$sidebar);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.pasteIcon)
+        .append($(`
+          <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">
+            <path d="M19 2h-4.18C14.4.84 13.3 0 12 0c-1.3 0-2.4.84-2.82 2H5c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm-7 0c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zm7 18H5V4h2v3h10V4h2v16z"/>
+          </svg>`))
+        .appendTo($pasteButton);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.pasteLabel)
+        .text('Paste Text')
+        .appendTo($pasteButton);
+
+    let $contrastButton = $('<div>')
+        .addClass(this.CLASS_NAMES.contrastButton)
+        .on('click', () => this._selectContrastMode())
+        .appendTo(this.$sidebar);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.contrastIcon)
+        .append($(`
+          <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">
+            <path d="M12 22c5.52 0 10-4.48 10-10S17.52 2 12 2 2 6.48 2 12s4.48 10 10 10zm1-17.93c3.94.49 7 3.86 7 7.93s-3.06 7.44-7 7.93V4.07z"/>
+          </svg>`))
+        .appendTo($contrastButton);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.contrastLabel)
+        .text('Contrast')
+        .appendTo($contrastButton);
+
+    let $blendButton = $('<div>')
+        .addClass(this.CLASS_NAMES.blendButton)
+        .on('click', () => this._selectBlendMode())
+        .appendTo(this.$sidebar);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.blendIcon)
+        .append($(`
+          <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">
+            <path d="M11.99 18.54l-7.37-5.73L3 14.07l9 7 9-7-1.63-1.27-7.38 5.74zM12 16l7.36-5.73L21 9l-9-7-9 7 1.63 1.27L12 16z"/>
+          </svg>`))
+        .appendTo($blendButton);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.blendLabel)
+        .text('Blend')
+        .appendTo($blendButton);
+
+    // not a mode, it changes how the other modes show colors
+    let simulation = getCvdSimulation(this._cvdSimulationId);
+    let $visionButton = $('<div>')
+        .addClass(this.CLASS_NAMES.visionButton)
+        .toggleClass(this.CLASS_NAMES.isActive, !!simulation)
+        .on('click', () => this._showCvdSimulationMenu())
+        .appendTo(this.$sidebar);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.visionIcon)
+        .append($(`
+          <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">
+            <path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>
+          </svg>`))
+        .appendTo($visionButton);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.visionLabel)
+        .text(simulation ? `Simulating ${simulation.title}` : 'Color Vision')
+        .appendTo($visionButton);
+
     for (let hueName in this.COLORS) {
       let color = this.COLORS[hueName];
-      if (!firstHueName) {
-        firstHueName = hueName;
-      }
 
       if (color._startGroup) {
         $('<div>')
@@ -195,7 +509,12 @@ class MaterialColors {
 
       let $hue = $('<div>')
           .addClass(`${this.CLASS_NAMES.hue} ${this.CLASS_NAMES.hue}-${hueName}`)
+          .toggleClass(this.CLASS_NAMES.isSession, !!this._sessionColors[hueName])
           .on('click', () => this._selectHue(hueName))
+          .contextmenu(event => {
+            event.preventDefault();
+            this._showHueContextMenu(hueName);
+          })
           .appendTo(this.$sidebar);
 
       let keyColor = this.isDarkMode
@@ -217,20 +536,31 @@ class MaterialColors {
           .text(this._getDisplayLabelForHue(hueName))
           .appendTo($hue);
     }
-
-    this._selectHue(firstHueName);
   }
 
-  _selectSearchMode() {
+  // selects a sidebar item and shows its part of the content area
+  _showContent($sidebarItem, $section) {
     this.$sidebar
-        .find(`.${this.CLASS_NAMES.hue}.${this.CLASS_NAMES.isSelected}`)
+        .find(`.${this.CLASS_NAMES.isSelected}`)
         .removeClass(this.CLASS_NAMES.isSelected);
-    this.$sidebar
-        .find(`.${this.CLASS_NAMES.searchButton}`)
-        .addClass(this.CLASS_NAMES.isSelected);
+    $sidebarItem.addClass(this.CLASS_NAMES.isSelected);
+
+    for (let $content of [
+        this.$searchSection, this.$pasteSection, this.$contrastSection, this.$blendSection, this.$valueList]) {
+      $content.toggleClass(this.CLASS_NAMES.isHidden, $content[0] !== $section[0]);
+    }
+  }
+
+  _isSearchMode() {
+    return !this._selectedHueName && !this._isPasteMode && !this._isContrastMode && !this._isBlendMode;
+  }
 
-    $(`.${this.CLASS_NAMES.searchSection}`).removeClass(this.CLASS_NAMES.isHidden);
-    $(`.${this.CLASS_NAMES.valueList}`).addClass(this.CLASS_NAMES.isHidden);
+  _selectSearchMode() {
+    this._selectedHueName = null;
+    this._isPasteMode = false;
+    this._isContrastMode = false;
+    this._isBlendMode = false;
+    this._showContent(this.$sidebar.find(`.${this.CLASS_NAMES.searchButton}`), this.$searchSection);
 
     if (this.$_cache['search']) {
       // if search is already rendered.
@@ -259,8 +589,9 @@ class MaterialColors {
       // help text
       this.$searchHelpText = $('<div>')
           .addClass(this.CLASS_NAMES.searchHelpText)
-          .text(`Search by material color name or hex value.
-                 Copy any color code format to the clipboard
+          .text(`Search by material color name or color code, like
+                 hex, rgb(), oklch(), Color(0xFF…) or UIColor(…).
+                 Copy any color code to the clipboard
                  to detect the color name.`)
           .appendTo(this.$searchResults);
 
@@ -270,17 +601,545 @@ class MaterialColors {
     }
   }
 
+  _selectPasteMode() {
+    this._selectedHueName = null;
+    this._isPasteMode = true;
+    this._isContrastMode = false;
+    this._isBlendMode = false;
+    this._showContent(this.$sidebar.find(`.${this.CLASS_NAMES.pasteButton}`), this.$pasteSection);
+
+    if (this.$_cache['paste']) {
+      // colors may have changed since the text was scanned
+      this._onPasteInput();
+      this.$pasteInput.focus();
+      return;
+    }
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.valueHeading)
+        .text('Paste Text')
+        .appendTo(this.$pasteSection);
+
+    this.$pasteInput = $('<textarea>')
+        .addClass(this.CLASS_NAMES.pasteInput)
+        .attr('placeholder', 'Paste a stylesheet, layout or source file')
+        .attr('spellcheck', 'false')
+        .on('input', () => this._onPasteInput())
+        .appendTo(this.$pasteSection);
+
+    this.$pasteResults = $('<div>')
+        .addClass(this.CLASS_NAMES.pasteResults)
+        .appendTo(this.$pasteSection);
+
+    this._onPasteInput();
+    this.$pasteInput.focus();
+
+    this.$_cache['paste'] = this.$pasteSection.children();
+  }
+
+  _onPasteInput() {
+    let text = this.$pasteInput.val();
+    this.$pasteResults.empty();
+
+    if (!text.trim()) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.searchHelpText)
+          .text(`Paste code to list every color in it, with the matching or
+                 closest material color for each.`)
+          .appendTo(this.$pasteResults);
+      return;
+    }
+
+    // unique colors, in the order they first appear
+    let literals = findColorLiterals(text, {...this._getLiteralOptions(), hexOrder: guessHexOrder(text)});
+    let foundColors = new Map();
+    for (let literal of literals) {
+      let key = literal.color.toHex8String();
+      if (!foundColors.has(key)) {
+        foundColors.set(key, {color: literal.color, literals: []});
+      }
+      foundColors.get(key).literals.push(literal);
+    }
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.matchingMaterialLabel)
+        .text(literals.length
+            ? `${foundColors.size} ${foundColors.size == 1 ? 'color' : 'colors'} found`
+            : 'No colors found')
+        .appendTo(this.$pasteResults);
+
+    for (let {color, literals} of foundColors.values()) {
+      this._buildPasteResult(color, literals)
+          .appendTo(this.$pasteResults);
+    }
+  }
+
+  _buildPasteResult(color, literals) {
+    let hex = color.toHexString();
+    let alpha = (color.getAlpha() < 1) ? color.getAlpha() : undefined;
+    let exactValue = this._getSearchableValuesByHex(hex)[0];
+    let closeValue = exactValue ? null : this._getCloseSearchableValues(color)[0];
+    let match = exactValue || closeValue;
+
+    let $result = $('<div>')
+        .addClass(this.CLASS_NAMES.pasteResult);
+
+    let lines = [...new Set(literals.map(({line}) => line))];
+    $('<div>')
+        .addClass(this.CLASS_NAMES.pasteResultSource)
+        .text(`${lines.length == 1 ? 'Line' : 'Lines'} ${lines.join(', ')}: ${literals[0].text}`)
+        .attr('title', literals.map(({line, column, text}) => `${line}:${column} ${text}`).join('\n'))
+        .appendTo($result);
+
+    this._buildValueTile({hex, alpha, literalSyntax: literals[0].syntax}, false)
+        .appendTo($result);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.matchingMaterialLabel)
+        .text(exactValue ? 'Material color' : (closeValue ? 'Closest color' : 'No similar colors'))
+        .appendTo($result);
+
+    if (!match) {
+      return $result;
+    }
+
+    this._buildValueTile({...match, alpha, literalSyntax: literals[0].syntax}, true)
+        .appendTo($result);
+
+    // the matched name in each copy format, to replace the hard-coded color with
+    for (let format of this._getCopyFormats()) {
+      let copyText = this._renderCustomColorFormatString(format, {
+        hueName: match.hueName,
+        groupName: match.groupName || null,
+        valueName: match.name || match.valueName,
+        hex: match.hex,
+        alpha,
+      });
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.pasteResultCopy)
+          .text(copyText)
+          .attr('title', `Copy ${copyText}`)
+          .on('click', () => {
+            electron.clipboard.writeText(copyText);
+            this._lastCopiedColor = copyText;
+          })
+          .appendTo($result);
+    }
+
+    return $result;
+  }
+
+  _selectContrastMode() {
+    this._selectedHueName = null;
+    this._isPasteMode = false;
+    this._isContrastMode = true;
+    this._isBlendMode = false;
+    this._showContent(this.$sidebar.find(`.${this.CLASS_NAMES.contrastButton}`), this.$contrastSection);
+
+    if (this.$_cache['contrast']) {
+      // colors may have changed since the suggestions were found
+      this._updateContrast();
+      return;
+    }
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.valueHeading)
+        .text('Contrast')
+        .appendTo(this.$contrastSection);
+
+    this.$contrastInputs = {};
+    for (let [key, label] of [['text', 'Text'], ['background', 'Background']]) {
+      let $row = $('<div>')
+          .addClass(this.CLASS_NAMES.contrastInputRow)
+          .appendTo(this.$contrastSection);
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.contrastInputLabel)
+          .text(label)
+          .appendTo($row);
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.contrastInputSwatch)
+          .appendTo($row);
+
+      this.$contrastInputs[key] = $('<input>')
+          .addClass(this.CLASS_NAMES.contrastInput)
+          .attr('placeholder', 'Color code')
+          .attr('spellcheck', 'false')
+          .val(this._contrastColors[key])
+          .on('input', event => {
+            this._contrastColors[key] = event.target.value;
+            this._updateContrast();
+          })
+          .appendTo($row);
+    }
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.searchAction)
+        .text('Swap text and background')
+        .on('click', () => {
+          let {text, background} = this._contrastColors;
+          this._setContrastColor('text', background);
+          this._setContrastColor('background', text);
+        })
+        .appendTo(this.$contrastSection);
+
+    this.$contrastResults = $('<div>')
+        .addClass(this.CLASS_NAMES.contrastResults)
+        .appendTo(this.$contrastSection);
+
+    let $targetPicker = $('<div>')
+        .addClass(this.CLASS_NAMES.contrastTargetPicker)
+        .text('Palette text colors for ')
+        .appendTo(this.$contrastSection);
+
+    let $targetSelect = $('<select>')
+        .on('change', () => {
+          this._contrastTargetId = $targetSelect.val();
+          this._updateContrast();
+        })
+        .appendTo($targetPicker);
+    CONTRAST_TARGETS.forEach(({id, title}) =>
+        $('<option>').attr('value', id).text(title).appendTo($targetSelect));
+    $targetSelect.val(this._contrastTargetId);
+
+    this.$contrastSuggestions = $('<div>')
+        .addClass(this.CLASS_NAMES.contrastSuggestions)
+        .appendTo(this.$contrastSection);
+
+    $('<label>')
+        .addClass(this.CLASS_NAMES.contrastBadgeToggle)
+        .append($('<input type="checkbox">')
+            .prop('checked', $('body').hasClass(this.CLASS_NAMES.showsContrastBadges))
+            .on('change', event =>
+                $('body').toggleClass(this.CLASS_NAMES.showsContrastBadges, event.target.checked)))
+        .append(document.createTextNode('Show passing text colors on tiles'))
+        .appendTo(this.$contrastSection);
+
+    this._updateContrast();
+
+    this.$_cache['contrast'] = this.$contrastSection.children();
+  }
+
+  /**
+   * Sets the text or background color to check, e.g. from a tile's context
+   * menu, and shows contrast mode.
+   */
+  _setContrastColor(key, color) {
+    this._contrastColors[key] = color;
+    if (this.$contrastInputs) {
+      this.$contrastInputs[key].val(color);
+    }
+
+    if (this._isContrastMode) {
+      this._updateContrast();
+    } else {
+      this._selectContrastMode();
+    }
+  }
+
+  _updateContrast() {
+    this.$contrastResults.empty();
+    this.$contrastSuggestions.empty();
+
+    let colors = {};
+    for (let key of ['text', 'background']) {
+      let literal = parseColorLiteral(this._contrastColors[key], this._getLiteralOptions());
+      colors[key] = literal && literal.color;
+      this.$contrastInputs[key]
+          .siblings(`.${this.CLASS_NAMES.contrastInputSwatch}`)
+          .css('background-color', colors[key] ? colors[key].toRgbString() : 'transparent');
+    }
+
+    if (!colors.text || !colors.background) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.matchingMaterialLabel)
+          .text('Enter two color codes, or pick colors from their context menus')
+          .appendTo(this.$contrastResults);
+      return;
+    }
+
+    // a translucent background is seen over the app's background
+    let background = compositeOver(colors.background, this._getSurfaceColor());
+    let text = colors.text;
+
+    let $preview = $('<div>')
+        .addClass(this.CLASS_NAMES.contrastPreview)
+        .css({'background-color': background.toRgbString(), color: text.toRgbString()})
+        .appendTo(this.$contrastResults);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.contrastPreviewLarge)
+        .text('Large text')
+        .appendTo($preview);
+
+    $('<div>')
+        .text('Normal text, like this sentence.')
+        .appendTo($preview);
+
+    let ratio = contrastRatio(text, background);
+    $('<div>')
+        .addClass(this.CLASS_NAMES.contrastRatio)
+        .text(`${ratio.toFixed(2)}:1`)
+        .attr('title', 'WCAG 2 contrast ratio')
+        .appendTo(this.$contrastResults);
+
+    let wcagResults = getWcagResults(ratio);
+    for (let {id, title} of WCAG_LEVELS) {
+      let $level = $('<div>')
+          .addClass(this.CLASS_NAMES.contrastLevel)
+          .text(title)
+          .appendTo(this.$contrastResults);
+
+      for (let [size, label] of [['normal', 'Normal'], ['large', 'Large']]) {
+        let passes = wcagResults[id][size];
+        $('<span>')
+            .addClass(this.CLASS_NAMES.contrastLevelResult)
+            .toggleClass(this.CLASS_NAMES.isPassing, passes)
+            .text(`${passes ? '✓' : '✗'} ${label}`)
+            .appendTo($level);
+      }
+    }
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.contrastLevel)
+        .text(`APCA Lc ${apcaContrast(text, background).toFixed(1)}`)
+        .attr('title', 'Positive for dark text on a light background, negative for light on dark')
+        .appendTo(this.$contrastResults);
+
+    let target = CONTRAST_TARGETS.find(({id}) => id === this._contrastTargetId);
+    let suggestions = this._palette.findContrasting(background, {target, near: text});
+    if (!suggestions.length) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.matchingMaterialLabel)
+          .text('No palette colors meet this on the background')
+          .appendTo(this.$contrastSuggestions);
+    }
+
+    for (let value of suggestions) {
+      let valueName = value.name || value.valueName;
+      let $suggestion = $('<div>')
+          .addClass(this.CLASS_NAMES.contrastSuggestion)
+          .css({'background-color': background.toRgbString(), color: value.hex})
+          .text(`${this._getDisplayLabelForHue(value.hueName)} ${valueName.toUpperCase()}`)
+          .attr('title', `${value.hex.toUpperCase()}, click to use as the text color`)
+          .on('click', () => this._setContrastColor('text', value.hex.toUpperCase()))
+          .contextmenu(event => {
+            event.preventDefault();
+            this._showValueContextMenu(value.hex, value.hueName, value.groupName, valueName, value.alpha);
+          })
+          .appendTo(this.$contrastSuggestions);
+
+      $('<span>')
+          .addClass(this.CLASS_NAMES.contrastSuggestionValue)
+          .text((target.metric === 'apca') ? `Lc ${Math.round(value.contrast)}` : `${value.contrast.toFixed(1)}:1`)
+          .appendTo($suggestion);
+    }
+  }
+
+  _selectBlendMode() {
+    this._selectedHueName = null;
+    this._isPasteMode = false;
+    this._isContrastMode = false;
+    this._isBlendMode = true;
+    this._showContent(this.$sidebar.find(`.${this.CLASS_NAMES.blendButton}`), this.$blendSection);
+
+    if (this.$_cache['blend']) {
+      // colors may have changed since the closest one was found
+      this._updateBlend();
+      return;
+    }
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.valueHeading)
+        .text('Blend')
+        .appendTo(this.$blendSection);
+
+    this.$blendInputs = {};
+    for (let [key, label] of [['foreground', 'Overlay'], ['background', 'Below']]) {
+      let $row = $('<div>')
+          .addClass(this.CLASS_NAMES.blendInputRow)
+          .appendTo(this.$blendSection);
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.blendInputLabel)
+          .text(label)
+          .appendTo($row);
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.blendInputSwatch)
+          .appendTo($row);
+
+      this.$blendInputs[key] = $('<input>')
+          .addClass(this.CLASS_NAMES.blendInput)
+          .attr('placeholder', 'Color code')
+          .attr('spellcheck', 'false')
+          .val(this._blendColors[key])
+          .on('input', event => {
+            this._blendColors[key] = event.target.value;
+            this._updateBlend();
+          })
+          .appendTo($row);
+    }
+
+    this.$blendAlphaInput = $('<input type="number" min="0" max="100" step="1">')
+        .addClass(this.CLASS_NAMES.blendAlphaInput)
+        .attr('title', 'Overlay opacity (%)')
+        .val(Math.round(this._blendAlpha * 100))
+        .on('input', event => {
+          let percent = Number(event.target.value);
+          if (event.target.value !== '' && !isNaN(percent)) {
+            this._blendAlpha = Math.min(100, Math.max(0, percent)) / 100;
+            this._updateBlend();
+          }
+        })
+        .appendTo(this.$blendInputs.foreground.parent());
+
+    let $backgroundPicker = $('<div>')
+        .addClass(this.CLASS_NAMES.blendBackgroundPicker)
+        .text('Blend onto ')
+        .appendTo(this.$blendSection);
+
+    this.$blendBackgroundSelect = $('<select>')
+        .on('change', () => {
+          let value = this.$blendBackgroundSelect.val();
+          this._blendElevation = value ? Number(value) : null;
+          this._updateBlend();
+        })
+        .appendTo($backgroundPicker);
+    $('<option>').attr('value', '').text('the color below').appendTo(this.$blendBackgroundSelect);
+    ELEVATION_OVERLAYS.forEach(({dp}) =>
+        $('<option>').attr('value', dp).text(`dark surface at ${dp}dp`).appendTo(this.$blendBackgroundSelect));
+
+    this.$blendResults = $('<div>')
+        .addClass(this.CLASS_NAMES.blendResults)
+        .appendTo(this.$blendSection);
+
+    this._updateBlend();
+
+    this.$_cache['blend'] = this.$blendSection.children();
+  }
+
+  /**
+   * Sets the overlay or the color below it, e.g. from a tile's context menu,
+   * and shows blend mode. A translucent overlay color sets the opacity too.
+   */
+  _setBlendColor(key, color) {
+    let literal = parseColorLiteral(color, this._getLiteralOptions());
+    if (key === 'foreground' && literal) {
+      this._blendAlpha = literal.color.getAlpha();
+      color = literal.color.setAlpha(1).toHexString().toUpperCase();
+    } else if (key === 'background') {
+      this._blendElevation = null;
+    }
+
+    this._blendColors[key] = color;
+    if (this.$blendInputs) {
+      this.$blendInputs[key].val(color);
+      this.$blendAlphaInput.val(Math.round(this._blendAlpha * 100));
+      this.$blendBackgroundSelect.val(this._blendElevation === null ? '' : this._blendElevation);
+    }
+
+    if (this._isBlendMode) {
+      this._updateBlend();
+    } else {
+      this._selectBlendMode();
+    }
+  }
+
+  _updateBlend() {
+    this.$blendResults.empty();
+
+    let colors = {};
+    for (let key of ['foreground', 'background']) {
+      let literal = parseColorLiteral(this._blendColors[key], this._getLiteralOptions());
+      colors[key] = literal && literal.color;
+    }
+
+    // a translucent color below is seen over the app's background
+    let background = (this._blendElevation !== null)
+        ? getElevatedSurfaceColor(this._blendElevation)
+        : colors.background && compositeOver(colors.background, this._getSurfaceColor());
+    let overlay = colors.foreground && colors.foreground.setAlpha(colors.foreground.getAlpha() * this._blendAlpha);
+
+    this.$blendInputs.foreground
+        .siblings(`.${this.CLASS_NAMES.blendInputSwatch}`)
+        .css('background-color', overlay ? overlay.toRgbString() : 'transparent');
+    this.$blendInputs.background
+        .prop('disabled', this._blendElevation !== null)
+        .siblings(`.${this.CLASS_NAMES.blendInputSwatch}`)
+        .css('background-color', background ? background.toHexString() : 'transparent');
+
+    if (!overlay || !background) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.matchingMaterialLabel)
+          .text('Enter two color codes, or pick colors from their context menus')
+          .appendTo(this.$blendResults);
+      return;
+    }
+
+    let result = compositeOver(overlay, background);
+    let resultHex = result.toHexString();
+    this._buildValueTile({hex: resultHex, caption: 'Blended'}, true)
+        .appendTo(this.$blendResults);
+
+    let closeValues = this._palette.findSimilar(result, {count: 1});
+    $('<div>')
+        .addClass(this.CLASS_NAMES.matchingMaterialLabel)
+        .text(closeValues.length ? 'Closest palette color' : 'No similar colors')
+        .appendTo(this.$blendResults);
+
+    closeValues.forEach(value =>
+        this._buildValueTile(value, true).appendTo(this.$blendResults));
+
+    let overlayHex = overlay.toHexString();
+    let copySections = [
+      ['Blended', [resultHex.toUpperCase(), result.toRgbString(), formatColorLiteral('android-hex', result),
+          formatColorLiteral('flutter', result)]],
+      ['Overlay', (overlay.getAlpha() < 1)
+          ? this._getAlphaFormats(overlayHex, overlay.getAlpha())
+          : [overlayHex.toUpperCase()]],
+    ];
+    for (let [title, codes] of copySections) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.copyCodesHeading)
+          .text(title)
+          .appendTo(this.$blendResults);
+
+      codes.forEach(code => this._buildCopyCode(code).appendTo(this.$blendResults));
+    }
+  }
+
+  // white or black text, whichever passes on the tile
+  _buildContrastBadge(tileColor) {
+    let $badge = $('<span>')
+        .addClass(this.CLASS_NAMES.colorTileContrast);
+
+    for (let {text, ratio, level} of getTextColorsForBackground(tileColor)) {
+      $('<span>')
+          .addClass(this.CLASS_NAMES.colorTileContrastSample)
+          .css('color', text)
+          .text(`Aa ${level || '✗'}`)
+          .attr('title', `${(text === '#fff') ? 'White' : 'Black'} text: ${ratio.toFixed(2)}:1`)
+          .appendTo($badge);
+    }
+
+    return $badge;
+  }
+
+  _getSurfaceColor() {
+    return this.isDarkMode ? SURFACE_COLORS.dark : SURFACE_COLORS.light;
+  }
+
   _selectHue(hueName) {
-    // Toggle selected hue
-    this.$sidebar.find(`.${this.CLASS_NAMES.hue}.${this.CLASS_NAMES.isSelected}`)
-        .removeClass(this.CLASS_NAMES.isSelected);
-    this.$sidebar.find(`.${this.CLASS_NAMES.searchButton}`)
-        .removeClass(this.CLASS_NAMES.isSelected);
-    this.$sidebar.find(`.${this.CLASS_NAMES.hue}-${hueName}`)
-        .addClass(this.CLASS_NAMES.isSelected);
+    this._selectedHueName = hueName;
+    this._isPasteMode = false;
+    this._isContrastMode = false;
+    this._isBlendMode = false;
 
-    $(`.${this.CLASS_NAMES.searchSection}`).addClass(this.CLASS_NAMES.isHidden);
-    $(`.${this.CLASS_NAMES.valueList}`).removeClass(this.CLASS_NAMES.isHidden);
+    // Toggle selected hue
+    this._showContent(this.$sidebar.find(`.${this.CLASS_NAMES.hue}-${hueName}`), this.$valueList);
 
     // Empty value list
     this.$valueList.empty();
@@ -290,6 +1149,21 @@ class MaterialColors {
         .text(this._getDisplayLabelForHue(hueName))
         .appendTo(this.$valueList);
 
+    if (this._sessionColors[hueName]) {
+      this._buildSaveHueForm(hueName)
+          .appendTo(this.$valueList);
+    }
+
+    if (this._importProblems[hueName]) {
+      this._buildImportProblems(this._importProblems[hueName])
+          .appendTo(this.$valueList);
+    }
+
+    if (this._cvdSimulationId) {
+      this._buildConfusableReport(hueName)
+          .appendTo(this.$valueList);
+    }
+
     // for each value in the hue
     let color = this.COLORS[hueName];
     for (let valueName in this.COLORS[hueName]) {
@@ -332,15 +1206,227 @@ class MaterialColors {
     this.$_cache[hueName] = this.$valueList.children();
   }
 
-  _onSearchInput(e) {
-    let value = e.target.value;
-    let inputColor = tinycolor(value);
+  _generateScheme(seedHex) {
+    let scheme = generateScheme(seedHex);
+    let toGroup = (title, colors) => ({
+      title,
+      colors: Object.keys(colors).map(name => ({name, hex: colors[name]})),
+    });
 
-    if (!value) {
-      // search input is empty.
-      this.$searchResults
-        .empty()
+    this._addSessionHue(`m3-scheme-${seedHex.replace(/#/g, '').toLowerCase()}`, {
+      _selectorLight: scheme.light.primary,
+      _selectorDark: scheme.dark.primary,
+      _groups: [
+        toGroup('Light', scheme.light),
+        toGroup('Dark', scheme.dark),
+      ],
+    });
+  }
+
+  _generateRamp(hex) {
+    let {ramp} = generateRamp(hex);
+    this._addSessionHue(`custom-${hex.replace(/#/g, '').toLowerCase()}`, {
+      _selectorLight: ramp['500'].hex,
+      _selectorDark: ramp['300'].hex,
+      ...ramp,
+    });
+  }
+
+  _addSessionHue(hueName, hue) {
+    this._sessionColors[hueName] = hue;
+    this._loadColors();
+    this._buildSidebar();
+    this._selectHue(hueName);
+  }
+
+  _importPaletteFiles(filePaths) {
+    let errors = [];
+    let lastHueName = null;
+    for (let filePath of filePaths) {
+      try {
+        let {hueName, hue, problems} = importPaletteFile(filePath);
+
+        // don't clobber other hues with the same name
+        let uniqueHueName = hueName;
+        for (let i = 2; uniqueHueName in this.COLORS; i++) {
+          uniqueHueName = `${hueName}-${i}`;
+        }
+
+        this._sessionColors[uniqueHueName] = hue;
+        if (problems.length) {
+          this._importProblems[uniqueHueName] = problems;
+        }
+        lastHueName = uniqueHueName;
+        this._loadColors();
+      } catch (e) {
+        errors.push(`${path.basename(filePath)}: ${e.message}`);
+      }
+    }
+
+    if (lastHueName) {
+      this._buildSidebar();
+      this._selectHue(lastHueName);
+    }
+
+    if (errors.length) {
+      electron.remote.dialog.showErrorBox('Couldn\'t import palette', errors.join('\n'));
+    }
+  }
+
+  _exportColors(targetId, hueNames, {groupName} = {}) {
+    let target = EXPORT_TARGETS.find(({id}) => id === targetId);
+    let filePath = electron.remote.dialog.showSaveDialogSync(electron.remote.getCurrentWindow(), {
+      title: `Export ${target.title}`,
+      defaultPath: path.join(this._getHomeDirectory(), target.fileName),
+    });
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      let hues = getExportHues(this.COLORS, hueNames, {groupName});
+      fs.writeFileSync(filePath, exportColors(targetId, hues, {
+        transform: (this._config.exportTransforms || {})[targetId],
+      }));
+    } catch (e) {
+      electron.remote.dialog.showErrorBox('Couldn\'t export colors', e.message);
+    }
+  }
+
+  _buildImportProblems(problems) {
+    let $problems = $('<div>')
+        .addClass(this.CLASS_NAMES.importProblems);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.importProblemsHeading)
+        .text(`${problems.length} ${problems.length == 1 ? 'entry' : 'entries'} couldn't be imported as-is:`)
+        .appendTo($problems);
+
+    for (let problem of problems) {
+      $('<div>')
+          .text(problem)
+          .appendTo($problems);
+    }
+
+    return $problems;
+  }
+
+  _buildSaveHueForm(hueName) {
+    let $form = $('<div>')
+        .addClass(this.CLASS_NAMES.saveHueForm);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.saveHueLabel)
+        .text('These colors are only kept until the app quits.')
+        .appendTo($form);
+
+    let save = () => this._saveSessionHue(hueName, $nameInput.val());
+
+    let $nameInput = $('<input>')
+        .addClass(this.CLASS_NAMES.saveHueNameInput)
+        .attr('placeholder', 'Name')
+        .val(hueName)
+        .on('keydown', event => (event.key === 'Enter') && save())
+        .appendTo($form);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.saveHueButton)
+        .text('Save to config')
+        .on('click', () => save())
+        .appendTo($form);
+
+    return $form;
+  }
+
+  _saveSessionHue(hueName, newHueName) {
+    // hue names end up in CSS class names
+    newHueName = (newHueName || '').trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    if (!newHueName) {
+      return;
+    }
+
+    if ((this._config.extraColors || {})[newHueName]) {
+      let response = electron.remote.dialog.showMessageBoxSync(electron.remote.getCurrentWindow(), {
+        type: 'question',
+        buttons: ['Replace', 'Cancel'],
+        defaultId: 0,
+        cancelId: 1,
+        message: `Replace the existing ${this._getDisplayLabelForHue(newHueName)} colors?`,
+      });
+      if (response !== 0) {
+        return;
+      }
+    }
+
+    try {
+      this._updateConfigFile(config => {
+        config.extraColors = {
+          ...(config.extraColors || {}),
+          [newHueName]: this._serializeHue(this._sessionColors[hueName]),
+        };
+      });
+    } catch (e) {
+      electron.remote.dialog.showErrorBox('Couldn\'t save colors', e.message);
+      return;
+    }
+
+    delete this._sessionColors[hueName];
+    delete this._importProblems[hueName];
+    this._loadColors();
+    this._buildSidebar();
+    this._selectHue(newHueName);
+  }
+
+  _serializeHue(hue) {
+    // _selectHue annotates colors with their names, which don't belong in the config
+    let stripNames = ({hueName, groupName, valueName, ...color}) => color;
+
+    let serialized = {};
+    for (let key in hue) {
+      if (key === '_startGroup') {
+        continue;
+      } else if (key === '_groups') {
+        serialized._groups = hue._groups.map(group => ({
+          ...group,
+          colors: (group.colors || []).map(stripNames),
+        }));
+      } else if (key.startsWith('_')) {
+        serialized[key] = hue[key];
+      } else {
+        serialized[key] = stripNames(hue[key]);
+      }
+    }
+
+    return serialized;
+  }
+
+  _onSearchInput(e) {
+    let value = e.target.value;
+    let literal = parseColorInput(value, this._getColorInputOptions());
+    let inputColor = literal ? literal.color : tinycolor('');
+    let literalSyntax = literal ? literal.syntax : null;
+
+    // explicit color codes (#hex, 0xAARRGGBB, @color/..., rgb(...), etc.) skip
+    // the name search, since short hex codes like '500' or 'a200' would otherwise
+    // match value names.
+    // Bare hex and CSS color names only match names exactly, so 'ace' is a
+    // color but 'blue' and 'a200' are still names.
+    let nameResults = (!value || value.match(/^\s*(#|0x|@|R\.color\.|[\w.]+\s*\()/))
+        ? []
+        : this._getSearchableValuesByName(value, {exact: inputColor.isValid()});
+
+    if (!value) {
+      // search input is empty.
+      this.$searchResults
+        .empty()
         .append(this.$searchHelpText);
+    } else if (nameResults.length) {
+      // search input matches color names.
+      this.$searchResults.empty();
+      nameResults.forEach(value =>
+          this._buildValueTile(value, true).appendTo(this.$searchResults));
     } else if (inputColor.isValid()) {
       // search input is valid.
       let hex = inputColor.toHexString();
@@ -357,22 +1443,61 @@ class MaterialColors {
             value = Object.assign({alpha}, value);
           }
 
-          this._buildValueTile(value, true).appendTo(this.$searchResults);
+          this._buildValueTile({...value, literalSyntax}, true).appendTo(this.$searchResults);
         });
+
+        this._buildCopyLiteralAction({...searchResults[0], alpha}, literalSyntax)
+            .appendTo(this.$searchResults);
       } else {
         // Non-material color.
-        this._buildValueTile({ hex, alpha }, true)
+        let inputValue = {hex, alpha, caption: this._getHctLabel(hex), literalSyntax};
+        this._buildValueTile(inputValue, true)
             .appendTo(this.$searchResults);
 
+        // suggest a closest material color
+        let closeValues = this._getCloseSearchableValues(inputColor);
+
         $('<div>')
             .addClass(this.CLASS_NAMES.matchingMaterialLabel)
-            .text('Similar colors')
+            .text(closeValues.length ? 'Similar colors' : 'No similar colors')
             .appendTo(this.$searchResults);
 
-        // suggest a closest material color
-        this._getCloseSearchableValues(inputColor)
-            .forEach(val => this._buildValueTile(val, true).appendTo(this.$searchResults));
+        closeValues.forEach(val =>
+            this._buildValueTile({...val, literalSyntax}, true).appendTo(this.$searchResults));
+
+        this._buildCopyLiteralAction(inputValue, literalSyntax)
+            .appendTo(this.$searchResults);
+
+        $('<div>')
+            .addClass(this.CLASS_NAMES.searchAction)
+            .text('Generate 50–900 ramp')
+            .on('click', () => this._generateRamp(hex))
+            .appendTo(this.$searchResults);
       }
+
+      if (alpha < 1) {
+        // what it looks like on the app's background
+        $('<div>')
+            .addClass(this.CLASS_NAMES.matchingMaterialLabel)
+            .text(`Over the ${this.isDarkMode ? 'dark' : 'light'} background`)
+            .appendTo(this.$searchResults);
+
+        let compositeHex = compositeOver(inputColor, this._getSurfaceColor()).toHexString();
+        this._buildValueTile({hex: compositeHex, caption: this._getHctLabel(compositeHex)}, true)
+            .appendTo(this.$searchResults);
+
+        $('<div>')
+            .addClass(this.CLASS_NAMES.searchAction)
+            .text('Blend onto another color')
+            .on('click', () => this._setBlendColor('foreground', inputColor.toRgbString()))
+            .appendTo(this.$searchResults);
+      }
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.searchAction)
+          .text('Generate Material 3 scheme')
+          .on('click', () => this._generateScheme(hex))
+          .appendTo(this.$searchResults);
     } else {
       // not found
       this.$searchResults.empty();
@@ -393,11 +1518,19 @@ class MaterialColors {
     }
   }
 
-  _showValueContextMenu(hexValue, hueName, groupName, valueName, alpha) {
+  _showValueContextMenu(hexValue, hueName, groupName, valueName, alpha, literalSyntax,
+      {toggleDetailPanel, toggleOpacityPicker} = {}) {
     let withHash = hexValue;
     let noHash = hexValue.replace(/#/g, '');
 
     let hexFormats = [];
+    let literal = literalSyntax && this._formatLiteral(
+        literalSyntax, {hex: hexValue, hueName, groupName, valueName, alpha});
+    if (literal && literal !== withHash) {
+      // the syntax the searched color was written in
+      hexFormats.push(literal);
+    }
+
     hexFormats.push(withHash);
     hexFormats.push(noHash);
     hexFormats.push(`rgb(${
@@ -406,24 +1539,16 @@ class MaterialColors {
         parseInt(noHash.substring(4, 6), 16)})`);
 
     if (alpha && alpha < 1) {
-      hexFormats.push(`rgba(${
-          parseInt(noHash.substring(0, 2), 16)}, ${
-          parseInt(noHash.substring(2, 4), 16)}, ${
-          parseInt(noHash.substring(4, 6), 16)}, .${
-          (alpha * 100).toFixed(0)})`);
-    }
-
-    let valueFormats = [];
-    if (this._config.copyFormats && this._config.copyFormats.length) {
-      this._config.copyFormats.forEach(format => {
-        valueFormats.push(this._renderCustomColorFormatString(format,
-            {hueName, groupName, valueName, alpha}));
-      });
-    } else {
-      valueFormats.push(this._renderCustomColorFormatString(
-          DEFAULT_VALUE_COPY_FORMAT, {hueName, groupName, valueName, alpha}));
+      hexFormats.push(...this._getAlphaFormats(hexValue, alpha));
     }
 
+    let colorCode = (alpha && alpha < 1)
+        ? tinycolor(withHash).setAlpha(alpha).toRgbString()
+        : withHash.toUpperCase();
+
+    let valueFormats = this._getCopyFormats().map(format =>
+        this._renderCustomColorFormatString(format, {hueName, groupName, valueName, hex: hexValue, alpha}));
+
     let formatToMenuItemTemplate_ = format => ({
       label: `Copy ${format}`,
       click: () => {
@@ -432,22 +1557,252 @@ class MaterialColors {
       }
     });
 
+    let exportMenuItemTemplate_ = (label, options) => ({
+      label,
+      submenu: EXPORT_TARGETS.map(({id, title}) => ({
+        label: `${title}…`,
+        click: () => this._exportColors(id, [hueName], options),
+      })),
+    });
+
     let menu = Menu.buildFromTemplate([]
         .concat(hexFormats.map(formatToMenuItemTemplate_))
         .concat([{type:'separator'}])
-        .concat(valueFormats.map(formatToMenuItemTemplate_)));
+        .concat(valueFormats.map(formatToMenuItemTemplate_))
+        .concat(toggleDetailPanel
+            ? [
+                {type:'separator'},
+                {label: 'Details…', click: toggleDetailPanel},
+                {label: 'Opacity…', click: toggleOpacityPicker},
+              ]
+            : [])
+        .concat([
+          {type:'separator'},
+          {
+            label: 'Generate Material 3 Scheme',
+            click: () => this._generateScheme(withHash),
+          },
+          {type:'separator'},
+          {
+            label: 'Check Contrast as Text',
+            click: () => this._setContrastColor('text', colorCode),
+          },
+          {
+            label: 'Check Contrast as Background',
+            click: () => this._setContrastColor('background', colorCode),
+          },
+          {
+            label: 'Blend as Overlay',
+            click: () => this._setBlendColor('foreground', colorCode),
+          },
+          {
+            label: 'Blend Onto',
+            click: () => this._setBlendColor('background', colorCode),
+          },
+          {type:'separator'},
+          exportMenuItemTemplate_(`Export ${this._getDisplayLabelForHue(hueName)}`),
+        ])
+        .concat(groupName
+            ? [exportMenuItemTemplate_(`Export ${groupName}`, {groupName})]
+            : []));
+    menu.popup(electron.remote.getCurrentWindow());
+  }
+
+  /**
+   * Returns a translucent color's code in the formats that can carry alpha:
+   * rgba(), 8-digit CSS hex, Android #AARRGGBB and Compose.
+   */
+  _getAlphaFormats(hex, alpha) {
+    let color = tinycolor(hex).setAlpha(alpha);
+    let opaqueArgb = formatColorLiteral('hex-int', tinycolor(hex));
+    return [
+      color.toRgbString(),
+      formatColorLiteral('hex', color),
+      formatColorLiteral('android-hex', color),
+      `Color(${opaqueArgb}).copy(alpha = ${Math.round(alpha * 100) / 100}f)`,
+    ];
+  }
+
+  _showCvdSimulationMenu() {
+    let menu = Menu.buildFromTemplate([
+      {
+        label: 'Normal Vision',
+        type: 'radio',
+        checked: !this._cvdSimulationId,
+        click: () => this._setCvdSimulation(null),
+      },
+      {type: 'separator'},
+      ...CVD_SIMULATIONS.map(({id, title, description}) => ({
+        label: `${title} (${description})`,
+        type: 'radio',
+        checked: this._cvdSimulationId === id,
+        click: () => this._setCvdSimulation(id),
+      })),
+    ]);
+    menu.popup(electron.remote.getCurrentWindow());
+  }
+
+  _setCvdSimulation(simulationId) {
+    this._cvdSimulationId = simulationId;
+    // re-renders the sidebar and whatever's showing
+    this._reloadColors();
+  }
+
+  /**
+   * Lists the colors in a hue that become hard to tell apart with the current
+   * color vision deficiency. Colors are only compared within their group, e.g.
+   * a hue's status colors, and translucent ones as they look on the app's
+   * background.
+   */
+  _buildConfusableReport(hueName) {
+    let hue = this.COLORS[hueName];
+    let valueSets = [
+      Object.keys(hue)
+          .filter(valueName => !valueName.startsWith('_'))
+          .map(valueName => ({valueName, ...hue[valueName]})),
+      ...(hue._groups || []).map(group =>
+          group.colors.map(color => ({valueName: color.name, groupName: group.title, ...color}))),
+    ];
+
+    let pairs = [];
+    for (let values of valueSets) {
+      pairs.push(...findConfusablePairs(values.map(value => ({
+        ...value,
+        hex: value.alpha
+            ? compositeOver(tinycolor(value.hex).setAlpha(value.alpha), this._getSurfaceColor())
+                .toHexString()
+            : value.hex,
+      })), this._cvdSimulationId));
+    }
+
+    let simulation = getCvdSimulation(this._cvdSimulationId);
+    let $report = $('<div>')
+        .addClass(this.CLASS_NAMES.confusableReport);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.confusableReportHeading)
+        .text(pairs.length
+            ? `Hard to tell apart with ${simulation.title.toLowerCase()}`
+            : `No colors look alike with ${simulation.title.toLowerCase()}`)
+        .appendTo($report);
+
+    let getLabel = value => [value.groupName, value.valueName].filter(s => !!s).join(' ');
+    for (let {a, b, deltaE, originalDeltaE} of pairs) {
+      let $pair = $('<div>')
+          .addClass(this.CLASS_NAMES.confusablePair)
+          .attr('title', `ΔE ${originalDeltaE.toFixed(1)} with normal vision`)
+          .appendTo($report);
+
+      for (let value of [a, b]) {
+        $('<div>')
+            .addClass(this.CLASS_NAMES.confusablePairSwatch)
+            .css('background-color', simulateCvd(value.hex, this._cvdSimulationId).toHexString())
+            .appendTo($pair);
+      }
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.confusablePairLabel)
+          .text(`${getLabel(a)} / ${getLabel(b)}`)
+          .appendTo($pair);
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.confusablePairDeltaE)
+          .text(`ΔE ${deltaE.toFixed(1)}`)
+          .appendTo($pair);
+    }
+
+    return $report;
+  }
+
+  _showHueContextMenu(hueName) {
+    let isSaved = !this._sessionColors[hueName] && !!(this._config.extraColors || {})[hueName];
+    let menu = Menu.buildFromTemplate([
+      {
+        label: isSaved ? `Edit ${this._getDisplayLabelForHue(hueName)}…` : 'Edit Palette…',
+        click: () => electron.ipcRenderer.send('show-palette-editor', isSaved ? hueName : null),
+      },
+    ]);
     menu.popup(electron.remote.getCurrentWindow());
   }
 
+  _buildCopyLiteralAction(value, literalSyntax) {
+    // plain hex codes can already be copied from the tile
+    let literal = (literalSyntax && !['hex', 'css'].includes(literalSyntax))
+        ? this._formatLiteral(literalSyntax, value)
+        : null;
+    if (!literal) {
+      return $();
+    }
+
+    return $('<div>')
+        .addClass(this.CLASS_NAMES.searchAction)
+        .text(`Copy as ${getColorSyntax(literalSyntax).title}`)
+        .attr('title', literal)
+        .on('click', () => {
+          electron.clipboard.writeText(literal);
+          this._lastCopiedColor = literal;
+        });
+  }
+
+  _formatLiteral(literalSyntax, value) {
+    let color = tinycolor(value.hex);
+    if (value.alpha) {
+      color.setAlpha(value.alpha);
+    }
+
+    return formatColorLiteral(literalSyntax, color, this._getLiteralOptions(value));
+  }
+
+  _getLiteralOptions(value) {
+    // Android resource names match colors.xml exports
+    let transform = (this._config.exportTransforms || {}).android;
+    return {
+      resolveResourceName: name => {
+        let match = this._searchableValues.find(searchableValue =>
+            getAndroidColorName(searchableValue.hueName, searchableValue, {transform})
+                .toLowerCase() === name.toLowerCase());
+        return match ? match.hex : null;
+      },
+      resourceName: (value && value.hueName && value.valueName)
+          ? getAndroidColorName(value.hueName, value, {transform})
+          : null,
+    };
+  }
+
+  // for colors on their own, like search, which could be in either hex order
+  _getColorInputOptions() {
+    return {
+      ...this._getLiteralOptions(),
+      isKnownColor: color => this._getSearchableValuesByHex(color.toHexString()).length > 0,
+    };
+  }
+
+  // identifies a tile across renders, e.g. to keep the opacity picked for it
+  _getTileKey(value) {
+    return [value.hueName, value.groupName, value.name || value.valueName, value.hex.toLowerCase()]
+        .join('/');
+  }
+
   _buildValueTile(value, largeTile) {
+    let originalValue = value;
+    let pickedAlpha = this._tileAlphas[this._getTileKey(value)];
+    if (pickedAlpha !== undefined) {
+      value = {...value, alpha: pickedAlpha};
+    }
+
     let tileBackground;
     let isWhite;
     let tc = tinycolor(value.hex);
 
+    if (this._cvdSimulationId) {
+      // only the tile's color is simulated, its label keeps the real hex
+      tc = simulateCvd(tc, this._cvdSimulationId);
+    }
+
     if (value.alpha) {
       tileBackground = tc.setAlpha(value.alpha).toString();
     } else {
-      tileBackground = value.hex;
+      tileBackground = this._cvdSimulationId ? tc.toHexString() : value.hex;
     }
 
     if (value.alpha && value.alpha < 0.5) {
@@ -464,13 +1819,32 @@ class MaterialColors {
         .contextmenu(event => {
           event.preventDefault();
           this._showValueContextMenu(
-              value.hex, value.hueName, value.groupName, value.valueName, value.alpha);
+              value.hex, value.hueName, value.groupName, value.valueName, value.alpha,
+              value.literalSyntax, {
+                toggleDetailPanel: () => this._toggleDetailPanel($colorTile, value),
+                toggleOpacityPicker: () => this._toggleOpacityPicker($colorTile, originalValue, largeTile),
+              });
+        })
+        .on('click', event => {
+          if (event.shiftKey) {
+            this._toggleCompareValue(value);
+          } else if (event.target === $colorTile[0]) {
+            // the hex and name copy instead
+            this._toggleDetailPanel($colorTile, value);
+          }
         });
 
+    $colorTile
+        .data('tileKey', this._getTileKey(value))
+        .toggleClass(this.CLASS_NAMES.isPinned, this._isComparing(value));
+
     let $hex = $('<div>')
         .addClass(this.CLASS_NAMES.colorTileHex)
         .text(value.hex.toUpperCase())
-        .on('click', () => {
+        .on('click', event => {
+            if (event.shiftKey) {
+              return; // pins the tile instead
+            }
             electron.clipboard.writeText($hex.text());
             this._lastCopiedColor = $hex.text();
         })
@@ -479,18 +1853,23 @@ class MaterialColors {
     $colorTile.on('refresh-tile', (event, opts) =>
         $hex.text(value.hex.toUpperCase().substring((opts && opts.hideHash) ? 1 : 0)));
 
+    // only visible when turned on in contrast mode
+    this._buildContrastBadge(compositeOver(tileBackground, this._getSurfaceColor()))
+        .appendTo($colorTile);
+
     if (value.name || value.valueName) {
       $('<div>')
           .addClass(this.CLASS_NAMES.colorTileValueName)
           .text(value.name || value.valueName.toUpperCase())
-          .on('click', () => {
-            let valueCopyFormat = (this._config.copyFormats && this._config.copyFormats.length)
-                ? this._config.copyFormats[0]
-                : DEFAULT_VALUE_COPY_FORMAT;
-            let copyText = this._renderCustomColorFormatString(valueCopyFormat, {
+          .on('click', event => {
+            if (event.shiftKey) {
+              return; // pins the tile instead
+            }
+            let copyText = this._renderCustomColorFormatString(getDefaultCopyFormat(this._config), {
               hueName: value.hueName,
               groupName: value.groupName || null,
               valueName: value.name || value.valueName,
+              hex: value.hex,
               alpha: value.alpha,
             });
             electron.clipboard.writeText(copyText);
@@ -508,156 +1887,663 @@ class MaterialColors {
           .appendTo($colorTile);
     }
 
+    if (value.aliasOf) {
+      $colorTile.addClass(this.CLASS_NAMES.hasAlias);
+      $('<span>')
+          .addClass(this.CLASS_NAMES.colorTileAlias)
+          .text(`alias of ${value.aliasOf}`)
+          .attr('title', `alias of ${value.aliasOf}`)
+          .appendTo($colorTile);
+    }
+
+    if (value.caption && largeTile) {
+      $('<span>')
+          .addClass(this.CLASS_NAMES.colorTileCaption)
+          .text(value.caption)
+          .appendTo($colorTile);
+    }
+
     if (value.alpha && value.alpha < 1 && largeTile) {
         $('<span>')
             .addClass(this.CLASS_NAMES.colorTileAlpha)
             .text(`Alpha ${Math.round(value.alpha * 100)}%`)
             .appendTo($colorTile);
+    } else if (value.deltaE !== undefined && largeTile) {
+      $('<span>')
+          .addClass(this.CLASS_NAMES.colorTileDeltaE)
+          .text(`ΔE ${value.deltaE.toFixed(1)}`)
+          .attr('title', 'CIEDE2000 difference from the searched color')
+          .appendTo($colorTile);
     }
 
     return $colorTile;
   }
 
-  _getDisplayLabelForHue(hueName) {
-    return hueName.split('-')
-        .map(s => s.charAt(0).toUpperCase() + s.substring(1))
-        .join(' ');
+  // the panels open under a tile, like its opacity picker
+  _getTilePanels($colorTile) {
+    let $panels = $();
+    for (let $next = $colorTile.next(); $next.hasClass(this.CLASS_NAMES.tilePanel); $next = $next.next()) {
+      $panels = $panels.add($next);
+    }
+    return $panels;
   }
 
-  _getColorDifference(colorAValue, colorBValue) {
-    let colorA = tinycolor(colorAValue);
-    let colorB = tinycolor(colorBValue);
+  _toggleOpacityPicker($colorTile, value, largeTile) {
+    let $openPicker = this._getTilePanels($colorTile).filter(`.${this.CLASS_NAMES.opacityPicker}`);
+    if ($openPicker.length) {
+      $openPicker.remove();
+      return;
+    }
+
+    this._buildOpacityPicker($colorTile, value, largeTile)
+        .insertAfter($colorTile);
+  }
+
+  /**
+   * Builds the opacity controls shown under a tile: Material's emphasis levels,
+   * a percentage field, how the color looks on the app's background, and codes
+   * to copy. Picking an opacity re-renders the tile with it.
+   */
+  _buildOpacityPicker($colorTile, value, largeTile) {
+    let tileKey = this._getTileKey(value);
+    let getAlpha = () => {
+      let alpha = this._tileAlphas[tileKey];
+      return (alpha !== undefined) ? alpha : (value.alpha || 1);
+    };
+
+    let $picker = $('<div>')
+        .addClass(`${this.CLASS_NAMES.tilePanel} ${this.CLASS_NAMES.opacityPicker}`);
+
+    let $presets = $('<div>')
+        .addClass(this.CLASS_NAMES.opacityPresets)
+        .appendTo($picker);
+
+    let $input = $('<input type="number" min="1" max="100" step="1">')
+        .addClass(this.CLASS_NAMES.opacityInput)
+        .attr('title', 'Opacity (%)')
+        .on('change', event => {
+          let percent = Math.round(Number(event.target.value));
+          if (!isNaN(percent)) {
+            setAlpha(Math.min(100, Math.max(1, percent)) / 100);
+          }
+        });
+
+    for (let {alpha, title} of OPACITY_PRESETS) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.opacityPreset)
+          .data('alpha', alpha)
+          .text(Math.round(alpha * 100))
+          .attr('title', `${title}, ${Math.round(alpha * 100)}%`)
+          .on('click', () => setAlpha(alpha))
+          .appendTo($presets);
+    }
+
+    $input.appendTo($presets);
+
+    let $details = $('<div>')
+        .appendTo($picker);
 
-    // Color difference based on CIE76 formula.
-    // Wiki: https://en.wikipedia.org/wiki/Color_difference#CIE76
+    let refresh = () => {
+      let alpha = getAlpha();
+      $input.val(Math.round(alpha * 100));
+      $presets.children(`.${this.CLASS_NAMES.opacityPreset}`).each((index, preset) =>
+          $(preset).toggleClass(this.CLASS_NAMES.isCurrent, $(preset).data('alpha') === alpha));
 
-    return Math.sqrt(Math.pow(colorA._r - colorB._r, 2) + // red
-                     Math.pow(colorA._g - colorB._g, 2) + // green
-                     Math.pow(colorA._b - colorB._b, 2)); // blue
+      $details.empty();
+      let surface = this._getSurfaceColor();
+      let composited = compositeOver(tinycolor(value.hex).setAlpha(alpha), surface).toHexString().toUpperCase();
+      let $surface = $('<div>')
+          .addClass(this.CLASS_NAMES.opacitySurface)
+          .text(`On ${this.isDarkMode ? 'dark' : 'light'} surface: `)
+          .appendTo($details);
+
+      $('<span>')
+          .addClass(this.CLASS_NAMES.opacitySurfaceSwatch)
+          .css('background-color', composited)
+          .appendTo($surface);
+
+      $surface.append(document.createTextNode(composited));
+
+      let valueFormats = this._getCopyFormats().map(format => this._renderCustomColorFormatString(format, {
+        hueName: value.hueName,
+        groupName: value.groupName || null,
+        valueName: value.name || value.valueName,
+        hex: value.hex,
+        alpha,
+      }));
+
+      let codes = (alpha < 1)
+          ? [...this._getAlphaFormats(value.hex, alpha), ...(value.valueName ? valueFormats : [])]
+          : [value.hex.toUpperCase(), ...(value.valueName ? valueFormats : [])];
+      for (let code of new Set(codes)) {
+        this._buildCopyCode(code).appendTo($details);
+      }
+    };
+
+    let setAlpha = alpha => {
+      this._tileAlphas[tileKey] = alpha;
+      let $newTile = this._buildValueTile(value, largeTile);
+      $colorTile.replaceWith($newTile);
+      $colorTile = $newTile;
+      refresh();
+    };
+
+    $picker.on('refresh-picker', refresh);
+    refresh();
+    return $picker;
   }
 
-  _getSearchableValuesByHex(hex) {
-    return this._searchableValues
-        .filter(value => value.hex.toLowerCase() === hex.toLowerCase());
+  _toggleDetailPanel($colorTile, value) {
+    let $openPanel = this._getTilePanels($colorTile).filter(`.${this.CLASS_NAMES.detailPanel}`);
+    if ($openPanel.length) {
+      $openPanel.remove();
+      return;
+    }
+
+    this._buildDetailPanel(value)
+        .insertAfter($colorTile);
   }
 
-  _getCloseSearchableValues(inputColor) {
-    return this._searchableValues
-        .map(value => ({ value, difference: this._getColorDifference(inputColor, value.hex) }))
-        .sort((a, b) => (a.difference - b.difference))
-        .slice(0, 3)
-        .map(obj => obj.value);
+  /**
+   * Builds the panel a tile expands into: the color in other color spaces,
+   * the steps next to it in its hue, its contrast with white and black, and
+   * its note and other names. Alpha is left out.
+   */
+  _buildDetailPanel(value) {
+    let color = tinycolor(value.hex);
+    let $panel = $('<div>')
+        .addClass(`${this.CLASS_NAMES.tilePanel} ${this.CLASS_NAMES.detailPanel}`);
+
+    if (value.note) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.detailNote)
+          .text(value.note)
+          .appendTo($panel);
+    }
+
+    let hct = Hct.fromHex(color.toHexString());
+    let rows = [
+      ['RGB', formatColorLiteral('css-rgb', color)],
+      ['HSL', formatColorLiteral('css-hsl', color)],
+      ['HSV', color.toHsvString()],
+      ['Lab', formatColorLiteral('css-lab', color)],
+      ['LCH', formatColorLiteral('css-lch', color)],
+      ['OKLCH', formatColorLiteral('css-oklch', color)],
+      ['HCT', `hct(${hct.hue.toFixed(1)} ${hct.chroma.toFixed(1)} ${hct.tone.toFixed(1)})`],
+      ['Luminance', relativeLuminance(color).toFixed(4)],
+      ['P3', formatColorLiteral('css-display-p3', color)],
+    ];
+    for (let [label, code] of rows) {
+      this._buildDetailRow(label, this._buildCopyCode(code))
+          .appendTo($panel);
+    }
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.detailHeading)
+        .text('Contrast')
+        .appendTo($panel);
+
+    for (let [text, label] of [['#fff', 'White'], ['#000', 'Black']]) {
+      let ratio = contrastRatio(text, color);
+      this._buildDetailRow(label, $('<span>')
+          .text(`${ratio.toFixed(2)}:1 ${getWcagLevel(ratio) || '✗'}`)
+          .attr('title', `${label} text on this color`))
+          .appendTo($panel);
+    }
+
+    let neighbors = this._getNeighborValues(value);
+    if (neighbors.length) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.detailHeading)
+          .text('Next to it')
+          .appendTo($panel);
+    }
+
+    for (let neighbor of neighbors) {
+      let $neighbor = $('<div>')
+          .addClass(this.CLASS_NAMES.detailNeighbor)
+          .attr('title', `Copy ${neighbor.hex.toUpperCase()}`)
+          .on('click', () => {
+            electron.clipboard.writeText(neighbor.hex.toUpperCase());
+            this._lastCopiedColor = neighbor.hex.toUpperCase();
+          })
+          .appendTo($panel);
+
+      $('<span>')
+          .addClass(this.CLASS_NAMES.detailNeighborSwatch)
+          .css('background-color', neighbor.hex)
+          .appendTo($neighbor);
+
+      $neighbor.append(document.createTextNode(
+          `${neighbor.valueName.toUpperCase()} ${neighbor.hex.toUpperCase()} ΔE ${
+              colorDifference(color, neighbor.hex).toFixed(1)}`));
+    }
+
+    let valueName = value.name || value.valueName;
+    let otherNames = this._palette.findByHex(value.hex)
+        .filter(other => other.hueName !== value.hueName
+            || (other.groupName || null) !== (value.groupName || null)
+            || other.valueName !== valueName)
+        .map(other => [this._getDisplayLabelForHue(other.hueName), other.groupName, other.valueName.toUpperCase()]
+            .filter(s => !!s).join(' '));
+    let aliases = [
+      ...(value.aliasOf ? [`Alias of ${value.aliasOf}`] : []),
+      ...otherNames.slice(0, MAX_DETAIL_ALIASES).map(name => `Same as ${name}`),
+    ];
+    if (otherNames.length > MAX_DETAIL_ALIASES) {
+      aliases.push(`and ${otherNames.length - MAX_DETAIL_ALIASES} more`);
+    }
+
+    if (aliases.length) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.detailHeading)
+          .text('Also known as')
+          .appendTo($panel);
+
+      aliases.forEach(alias => $('<div>').text(alias).appendTo($panel));
+    }
+
+    return $panel;
   }
 
-  _searchColorFromClipboard() {
-    let clipboardText = electron.clipboard.readText();
+  _buildDetailRow(label, $content) {
+    return $('<div>')
+        .addClass(this.CLASS_NAMES.detailRow)
+        .append($('<span>')
+            .addClass(this.CLASS_NAMES.detailRowLabel)
+            .text(label))
+        .append($content);
+  }
 
-    // if not previously copied from app itself.
-    if (clipboardText !== this._lastCopiedColor) {
-      let color = tinycolor(clipboardText);
+  // the steps before and after a value, in its group or its hue's ungrouped values
+  _getNeighborValues(value) {
+    let hue = this.COLORS[value.hueName];
+    if (!hue) {
+      return [];
+    }
 
-      if (color.isValid()) {
-        this._selectSearchMode();
+    let valueName = value.name || value.valueName;
+    let valueSets = [
+      {
+        title: null,
+        values: Object.keys(hue)
+            .filter(name => !name.startsWith('_'))
+            .map(name => ({...hue[name], valueName: name})),
+      },
+      ...(hue._groups || []).map(group => ({
+        title: group.title || null,
+        values: group.colors.map(color => ({...color, valueName: color.name})),
+      })),
+    ];
+
+    let valueSet = valueSets.find(({title, values}) => title === (value.groupName || null)
+        && values.some(other => other.valueName === valueName));
+    if (!valueSet) {
+      return [];
+    }
 
-        let $searchInput = this.$searchSection.find(`.${this.CLASS_NAMES.searchInput}`);
+    let index = valueSet.values.findIndex(other => other.valueName === valueName);
+    return [valueSet.values[index - 1], valueSet.values[index + 1]].filter(other => !!other);
+  }
 
-        $searchInput
-            .val(clipboardText)
-            .trigger('input');
+  _isComparing(value) {
+    let tileKey = this._getTileKey(value);
+    return this._compareValues.some(other => this._getTileKey(other) === tileKey);
+  }
 
-        setTimeout(() => $searchInput.select(), 100);
+  /**
+   * Pins a color to the compare tray, or unpins it if it's already there.
+   * The oldest color makes room once the tray is full.
+   */
+  _toggleCompareValue(value) {
+    let tileKey = this._getTileKey(value);
+    if (this._isComparing(value)) {
+      this._compareValues = this._compareValues.filter(other => this._getTileKey(other) !== tileKey);
+    } else {
+      this._compareValues = [...this._compareValues, value].slice(-MAX_COMPARE_VALUES);
+    }
+
+    $(`.${this.CLASS_NAMES.colorTile}`).each((index, tile) =>
+        $(tile).toggleClass(this.CLASS_NAMES.isPinned,
+            this._compareValues.some(other => this._getTileKey(other) === $(tile).data('tileKey'))));
+    this._updateCompareTray();
+  }
+
+  _getCompareLabel(value) {
+    let valueName = value.name || value.valueName;
+    if (!valueName) {
+      return value.hex.toUpperCase();
+    }
+
+    return [this._getDisplayLabelForHue(value.hueName), value.groupName, valueName.toUpperCase()]
+        .filter(s => !!s).join(' ');
+  }
+
+  // pinned colors as they look in the app, translucent ones over its background
+  _getCompareColor(value) {
+    return (value.alpha && value.alpha < 1)
+        ? compositeOver(tinycolor(value.hex).setAlpha(value.alpha), this._getSurfaceColor())
+        : tinycolor(value.hex);
+  }
+
+  _updateCompareTray() {
+    this.$compareTray
+        .empty()
+        .toggleClass(this.CLASS_NAMES.isHidden, !this._compareValues.length);
+    if (!this._compareValues.length) {
+      return;
+    }
+
+    let $header = $('<div>')
+        .addClass(this.CLASS_NAMES.compareTrayHeader)
+        .appendTo(this.$compareTray);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.compareTrayTitle)
+        .text('Compare')
+        .appendTo($header);
+
+    let actions = [
+      {
+        label: (this._compareView === 'swap') ? 'Differences' : 'Swap',
+        title: (this._compareView === 'swap')
+            ? 'Show how the colors differ'
+            : 'Show each color as text on the others',
+        click: () => {
+          this._compareView = (this._compareView === 'swap') ? 'differences' : 'swap';
+          this._updateCompareTray();
+        },
+      },
+      {
+        label: 'Clear',
+        title: 'Unpin all colors',
+        click: () => {
+          this._compareValues = [];
+          $(`.${this.CLASS_NAMES.colorTile}`).removeClass(this.CLASS_NAMES.isPinned);
+          this._updateCompareTray();
+        },
+      },
+    ];
+    for (let {label, title, click} of actions) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.compareTrayAction)
+          .text(label)
+          .attr('title', title)
+          .on('click', click)
+          .appendTo($header);
+    }
+
+    let $swatches = $('<div>')
+        .addClass(this.CLASS_NAMES.compareSwatches)
+        .appendTo(this.$compareTray);
+
+    for (let value of this._compareValues) {
+      let color = this._getCompareColor(value);
+      let $swatch = $('<div>')
+          .addClass(this.CLASS_NAMES.compareSwatch)
+          .toggleClass(this.CLASS_NAMES.isWhite, color.isDark())
+          .css('background-color', color.toHexString())
+          .attr('title', `${this._getCompareLabel(value)}, click to unpin`)
+          .on('click', () => this._toggleCompareValue(value))
+          .appendTo($swatches);
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.compareSwatchLabel)
+          .text(value.hex.toUpperCase())
+          .appendTo($swatch);
+
+      if (value.name || value.valueName) {
+        $('<div>')
+            .addClass(this.CLASS_NAMES.compareSwatchLabel)
+            .text(this._getCompareLabel(value))
+            .appendTo($swatch);
       }
+    }
 
-      this._lastCopiedColor = clipboardText;
+    if (this._compareValues.length < 2) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.compareHint)
+          .text('Shift-click another color to compare')
+          .appendTo(this.$compareTray);
+      return;
+    }
+
+    let pairs = [];
+    this._compareValues.forEach((a, i) =>
+        this._compareValues.slice(i + 1).forEach(b => pairs.push([a, b])));
+
+    if (this._compareView === 'swap') {
+      for (let [a, b] of pairs) {
+        for (let [text, background] of [[a, b], [b, a]]) {
+          let textColor = this._getCompareColor(text);
+          let backgroundColor = this._getCompareColor(background);
+          $('<div>')
+              .addClass(this.CLASS_NAMES.compareSwapSample)
+              .css({'background-color': backgroundColor.toHexString(), color: textColor.toHexString()})
+              .text(`${this._getCompareLabel(text)} ${contrastRatio(textColor, backgroundColor).toFixed(2)}:1`)
+              .attr('title', `${this._getCompareLabel(text)} on ${this._getCompareLabel(background)}`)
+              .appendTo(this.$compareTray);
+        }
+      }
+      return;
+    }
+
+    let formatDelta = (delta, unit = '') => `${(delta < 0) ? '−' : '+'}${Math.abs(delta).toFixed(1)}${unit}`;
+    for (let [a, b] of pairs) {
+      let {deltaE, deltaL, deltaC, deltaH} = compareColors(this._getCompareColor(a), this._getCompareColor(b));
+      let $difference = $('<div>')
+          .addClass(this.CLASS_NAMES.compareDifference)
+          .attr('title', `How ${this._getCompareLabel(b)} differs from ${this._getCompareLabel(a)}`)
+          .appendTo(this.$compareTray);
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.compareDifferenceNames)
+          .text(`${this._getCompareLabel(a)} → ${this._getCompareLabel(b)}`)
+          .appendTo($difference);
+
+      $('<div>')
+          .text(`ΔE ${deltaE.toFixed(1)}  L ${formatDelta(deltaL)}  C ${formatDelta(deltaC)}  H ${
+              formatDelta(deltaH, '°')}`)
+          .appendTo($difference);
     }
   }
 
-  _renderCustomColorFormatString(format, data) {
-    let replacer;
-    let textTransform;
+  _buildCopyCode(code) {
+    return $('<div>')
+        .addClass(this.CLASS_NAMES.copyCode)
+        .text(code)
+        .attr('title', `Copy ${code}`)
+        .on('click', () => {
+          electron.clipboard.writeText(code);
+          this._lastCopiedColor = code;
+        });
+  }
 
-    let string = format.format;
-    let transform = format.transform;
+  _getDisplayLabelForHue(hueName) {
+    return hueName.split('-')
+        .map(s => s.charAt(0).toUpperCase() + s.substring(1))
+        .join(' ');
+  }
+
+  _getHctLabel(hex) {
+    let hct = Hct.fromHex(hex);
+    return `HCT ${Math.round(hct.hue)} ${Math.round(hct.chroma)} ${Math.round(hct.tone)}`;
+  }
 
-    data.hueName = data.hueName || '';
-    data.valueName = data.valueName || '';
+  _getSearchableValuesByHex(hex) {
+    return this._palette.findByHex(hex);
+  }
 
-    if (data.groupName) {
-      data.valueName = data.groupName + '-' + data.valueName;
+  _getSearchableValuesByName(query, {exact} = {}) {
+    let queryTokens = this._tokenizeSearchString(query);
+    let compactQuery = queryTokens.join('');
+    if (!compactQuery) {
+      return [];
     }
 
-    if (data.alpha) {
-      data.alpha = (data.alpha * 100).toFixed(0);
-    } else {
-      data.alpha = '100';
+    if (!this._nameSearchIndex) {
+      this._nameSearchIndex = this._searchableValues.map(value => this._buildNameSearchEntry(value));
     }
 
-    // is it a valid transform?
-    if (transform && transform.length <= 3 && transform.match(/\w?(x|X|Xx)/)) {
-      transform = transform.trim();
+    return this._nameSearchIndex
+        .map(entry => ({
+          value: entry.value,
+          score: this._scoreNameSearchEntry(entry, queryTokens, compactQuery, {exact})
+        }))
+        .filter(({score}) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_NAME_SEARCH_RESULTS)
+        .map(({value}) => value);
+  }
 
-      // if transform has replacer character (eg: '-x', '_x')
-      if (!transform.toLowerCase().startsWith('x')) {
-        replacer = transform[0];
-        textTransform = transform.slice(1);
-      } else {
-        textTransform = transform;
+  _buildNameSearchEntry(value) {
+    // the color's own name parts (e.g. 'light-blue', 'a200')
+    let nameTokens = [
+      ...this._tokenizeSearchString(value.hueName),
+      ...this._tokenizeSearchString(value.groupName || ''),
+      ...this._tokenizeSearchString(value.name || value.valueName),
+    ];
+
+    // identifiers as copied from the app (e.g. 'MATERIAL_COLOR_LIGHT_BLUE_A200')
+    let formatTokens = this._getCopyFormats().map(format =>
+        this._tokenizeSearchString(this._renderCustomColorFormatString(format, {
+          hueName: value.hueName,
+          groupName: value.groupName || null,
+          valueName: value.name || value.valueName,
+        })));
+
+    return {
+      value,
+      nameTokens,
+      tokens: new Set([].concat(nameTokens, ...formatTokens)),
+      compacts: [nameTokens.join(''), ...formatTokens.map(tokens => tokens.join(''))],
+    };
+  }
+
+  _scoreNameSearchEntry(entry, queryTokens, compactQuery, {exact} = {}) {
+    // token match: every query token has to match the start of (or be contained in) some
+    // name token, e.g. 'light blue 3' matches 'Light Blue 300'
+    let tokenScore = 0;
+    for (let queryToken of queryTokens) {
+      let best = 0;
+      for (let token of entry.tokens) {
+        if (token === queryToken) {
+          best = 3;
+          break;
+        } else if (!exact && token.startsWith(queryToken)) {
+          best = Math.max(best, 2);
+        } else if (!exact && queryToken.length >= 2 && token.includes(queryToken)) {
+          best = Math.max(best, 1);
+        }
       }
 
-      // text transform, lower, upper or capitalize
-      let transformers = [];
-      if (textTransform === 'x') {
-        transformers.push(s => s.toLowerCase());
-      } else if (textTransform === 'X') {
-        transformers.push(s => s.toUpperCase());
-      } else if (textTransform === 'Xx') {
-        transformers.push(s => this._sentenceCase(s));
+      if (!best) {
+        tokenScore = 0;
+        break;
       }
 
-      // Replacer
-      // d - delete spaces between the hue name (eg: LightBlue)
-      // * - replace spaces between hue name with any character (eg: LIGHT_BLUE)
-      // if no replacer found add a space between hue name if any (eg: Light Blue)
-      replacer = replacer
-          ? (replacer === 'd'
-              ? ''
-              : replacer)
-          : ' ';
+      tokenScore += best;
+    }
 
-      transformers.push(s => s.replace(/[- ]/g, replacer));
+    // compact match: ignores word boundaries, e.g. 'lightblue300' or 'deeporangea2'
+    let compactScore = 0;
+    for (let compact of entry.compacts) {
+      if (compact === compactQuery) {
+        compactScore = Math.max(compactScore, 3 * queryTokens.length + 1);
+      } else if (!exact && compact.startsWith(compactQuery)) {
+        compactScore = Math.max(compactScore, 2 * queryTokens.length);
+      } else if (!exact && compactQuery.length >= 3 && compact.includes(compactQuery)) {
+        compactScore = Math.max(compactScore, queryTokens.length);
+      } else if (!exact && compactQuery.length >= 3 && compact[0] === compactQuery[0]
+          && this._isSubsequence(compactQuery, compact)) {
+        // fuzzy match, e.g. 'lghtblu'
+        compactScore = Math.max(compactScore, 0.5);
+      }
+    }
 
-      let applyAllTransformers = src => transformers.reduce((s, t) => t(s), src);
-      data.hueName = applyAllTransformers(data.hueName);
-      data.valueName = applyAllTransformers(data.valueName);
+    let score = Math.max(tokenScore, compactScore);
+    if (!score) {
+      return 0;
     }
 
-    string = string.replace(/\$HUE/g, data.hueName)
-        .replace(/\$VALUE/g, data.valueName)
-        .replace(/\$ALPHA/g, data.alpha);
+    // prefer colors that don't have additional unmatched name parts, so 'blue' ranks
+    // Blue above Light Blue and Blue Grey
+    let unmatchedNameTokens = entry.nameTokens
+        .filter(token => !queryTokens.find(queryToken => token.startsWith(queryToken)))
+        .length;
+    return score + 1 / (2 + unmatchedNameTokens);
+  }
 
-    return string;
+  _tokenizeSearchString(str) {
+    return String(str || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2') // camelCase
+        .replace(/([a-z]{2,})(\d)/gi, '$1 $2') // blue300, but not a200
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(s => !!s);
   }
 
-  _loadConfig() {
-    const configFilePath = path.join(this._getHomeDirectory(), CONFIG_FILENAME);
+  _isSubsequence(needle, haystack) {
+    let i = 0;
+    for (let c of haystack) {
+      if (c === needle[i]) {
+        ++i;
+      }
+    }
 
-    this._config = {};
-    try {
-      let data = fs.readFileSync(configFilePath);
-      if (!data) {
-        return;
+    return i === needle.length;
+  }
+
+  _getCloseSearchableValues(inputColor) {
+    return this._palette.findSimilar(inputColor, this._config.similarColors);
+  }
+
+  _searchColorFromClipboard() {
+    let clipboardText = electron.clipboard.readText();
+
+    // if not previously copied from app itself.
+    if (clipboardText !== this._lastCopiedColor) {
+      if (parseColorInput(clipboardText, this._getColorInputOptions())) {
+        this._selectSearchMode();
+
+        let $searchInput = this.$searchSection.find(`.${this.CLASS_NAMES.searchInput}`);
+
+        $searchInput
+            .val(clipboardText)
+            .trigger('input');
+
+        setTimeout(() => $searchInput.select(), 100);
       }
 
-      this._config = JSON.parse(data);
+      this._lastCopiedColor = clipboardText;
+    }
+  }
 
-    } catch (e) {
-      console.warn('Error reading config file.', e);
-      return false;
+  _getCopyFormats() {
+    return getCopyFormats(this._config);
+  }
+
+  _renderCustomColorFormatString(format, data) {
+    return renderCopyFormat(format, data);
+  }
+
+  _loadConfig() {
+    let profile = electron.ipcRenderer.sendSync('get-active-profile');
+    let {config, problems, readFailed} = loadConfig(this._getHomeDirectory(), {profile});
+    this._configProblems = problems;
+    // the last good config is only a stand-in for the same profile's
+    this._isUsingLastGoodConfig = readFailed && !!this._config && this._configProfile === profile;
+    if (!this._isUsingLastGoodConfig) {
+      this._config = config;
+      this._configProfile = profile;
     }
   }
 
-  _sentenceCase(str) {
-    return str.replace(/(?:^|(\s|\-))\S/g, (s) => { return s.toUpperCase(); });
+  _updateConfigFile(updateFn) {
+    updateConfig(this._getHomeDirectory(), updateFn, {
+      profile: electron.ipcRenderer.sendSync('get-active-profile'),
+    });
+    this._loadConfig();
   }
 
   _getHomeDirectory() {
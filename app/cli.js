@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const {hideBin} = require('yargs/helpers');
+
+const {DEFAULT_CATALOG_IDS, getProfiles, loadConfig, Palette} = require('./color-core.js');
+const {getCatalogs} = require('./palettes.js');
+const {EXPORT_TARGETS, getExportHues, exportColors} = require('./exporters.js');
+const {parseColorLiteral, findColorLiterals, guessHexOrder} = require('./literals.js');
+
+// the app runs these without opening a window, e.g. `material-colors lookup '#F44336'`
+const CLI_COMMANDS = ['lookup', 'nearest', 'export', 'lint'];
+
+// hex values, in the forms they're written in across platforms
+const LINT_SYNTAXES = ['hex', 'android-hex', 'hex-int', 'flutter'];
+const LINT_EXTENSIONS = [
+  '.css', '.scss', '.sass', '.less', '.html', '.vue', '.svelte', '.js', '.jsx', '.ts', '.tsx',
+  '.xml', '.java', '.kt', '.swift', '.m', '.dart',
+];
+
+// exit codes
+const EXIT_OK = 0;
+const EXIT_NOT_FOUND = 1; // also used when lint finds colors
+const EXIT_USAGE = 2;
+
+
+/**
+ * Runs a command line, given without the executable and script (see hideBin),
+ * and returns the exit code. Reads the same config as the app, and uses the
+ * profile and catalogs selected in the app unless --profile or --catalogs is
+ * given.
+ */
+function runCli(args, {homeDir = os.homedir(), enabledCatalogIds = DEFAULT_CATALOG_IDS, profile = null} = {}) {
+  let exitCode = EXIT_OK;
+  let failed = false;
+  let withPalette = command => argv => {
+    if (failed) {
+      // without exitProcess, yargs still runs the command after a usage error
+      return;
+    }
+
+    let catalogIds = argv.catalogs ? argv.catalogs.split(',').map(id => id.trim()) : enabledCatalogIds;
+    try {
+      exitCode = command(loadPalette(homeDir, catalogIds, argv.profile || profile), argv);
+    } catch (e) {
+      // e.g. missing files
+      console.error(`material-colors: ${e.message}`);
+      exitCode = EXIT_USAGE;
+    }
+  };
+
+  yargs(args)
+      .scriptName('material-colors')
+      .usage('$0 <command> [options]')
+      .option('catalogs', {
+        type: 'string',
+        describe: 'Comma-separated catalogs to use, e.g. material2,tailwind',
+      })
+      .option('profile', {
+        type: 'string',
+        describe: 'Config profile to use, from ~/.materialcolors/profiles',
+      })
+      .option('hex-order', {
+        choices: ['rgba', 'argb'],
+        describe: 'Read 8-digit #hex as CSS #RRGGBBAA or Android #AARRGGBB (lint guesses from each file)',
+      })
+      .command('lookup <color>', 'Print the palette names of a color', {},
+          withPalette(lookup))
+      .command('nearest <color>', 'Print the closest palette colors and their ΔE', {
+        count: {type: 'number', describe: 'How many colors to print'},
+        'max-delta-e': {type: 'number', describe: 'Leave out colors further away than this'},
+      }, withPalette(nearest))
+      .command('export', 'Print the palette as code', {
+        format: {
+          choices: EXPORT_TARGETS.map(({id}) => id),
+          demandOption: true,
+          describe: 'What to export as',
+        },
+        hue: {type: 'array', string: true, describe: 'Hues to export (all hues by default)'},
+        group: {type: 'string', describe: 'Only export this group'},
+        output: {alias: 'o', type: 'string', describe: 'Write to this file instead'},
+      }, withPalette(exportPalette))
+      .command('lint [paths..]', 'Report hard-coded hex colors that aren\'t in the palette', {
+        paths: {default: ['.']},
+        ext: {
+          type: 'array',
+          string: true,
+          default: LINT_EXTENSIONS,
+          describe: 'Extensions of the files to check in directories',
+        },
+      }, withPalette(lint))
+      .demandCommand(1, 'Pass a command')
+      .strict()
+      .help()
+      .exitProcess(false)
+      .fail((message, error) => {
+        console.error(`material-colors: ${error ? error.message : message}`);
+        failed = true;
+        exitCode = EXIT_USAGE;
+      })
+      .parse();
+
+  return exitCode;
+}
+
+
+// loads the profile's config and enabled catalogs, like the app does
+function loadPalette(homeDir, catalogIds, profile) {
+  let profileIds = getProfiles(homeDir).map(({id}) => id).filter(id => !!id);
+  if (profile && !profileIds.includes(profile)) {
+    throw new Error(`unknown profile: ${profile} (available: ${profileIds.join(', ') || 'none'})`);
+  }
+
+  let {config, problems: configProblems} = loadConfig(homeDir, {profile});
+
+  let availableIds = getCatalogs(config, homeDir).map(({id}) => id);
+  let unknownIds = catalogIds.filter(id => !availableIds.includes(id));
+  if (unknownIds.length) {
+    throw new Error(`unknown catalogs: ${unknownIds.join(', ')} (available: ${availableIds.join(', ')})`);
+  }
+
+  let {palette, problems} = Palette.load({homeDir, config, catalogIds});
+
+  // bad entries are skipped, same as in the app
+  [...configProblems, ...problems].forEach(({file, path, message}) =>
+      console.error(`warning: ${file}${path ? ` ${path}` : ''}: ${message}`));
+
+  return palette;
+}
+
+
+function lookup(palette, {color, hexOrder}) {
+  let literal = parseColorLiteral(color, {hexOrder});
+  if (!literal) {
+    console.error(`"${color}" isn't a color`);
+    return EXIT_USAGE;
+  }
+
+  let matches = palette.findByHex(literal.color);
+  if (!matches.length) {
+    console.error(`${literal.color.toHexString().toUpperCase()} isn't in the palette`);
+    return EXIT_NOT_FOUND;
+  }
+
+  matches.forEach(value => console.log(palette.formatName(value)));
+  return EXIT_OK;
+}
+
+
+function nearest(palette, {color, count, maxDeltaE, hexOrder}) {
+  let literal = parseColorLiteral(color, {hexOrder});
+  if (!literal) {
+    console.error(`"${color}" isn't a color`);
+    return EXIT_USAGE;
+  }
+
+  let values = palette.findSimilar(literal.color, {count, maxDeltaE});
+  if (!values.length) {
+    console.error('No similar colors');
+    return EXIT_NOT_FOUND;
+  }
+
+  let names = values.map(value => palette.formatName(value));
+  let width = Math.max(...names.map(name => name.length));
+  values.forEach((value, index) => console.log(
+      `${names[index].padEnd(width)}  ${value.hex.toUpperCase()}  ΔE ${value.deltaE.toFixed(1)}`));
+  return EXIT_OK;
+}
+
+
+function exportPalette(palette, {format, hue, group, output}) {
+  let hueNames = hue || Object.keys(palette.colors);
+  let unknownHueNames = hueNames.filter(hueName => !palette.colors[hueName]);
+  if (unknownHueNames.length) {
+    console.error(`Unknown hues: ${unknownHueNames.join(', ')}`);
+    return EXIT_USAGE;
+  }
+
+  let hues = getExportHues(palette.colors, hueNames, {groupName: group});
+  if (!hues.length) {
+    console.error('Nothing to export');
+    return EXIT_NOT_FOUND;
+  }
+
+  let code = exportColors(format, hues, {
+    transform: (palette.config.exportTransforms || {})[format],
+  });
+  if (output) {
+    fs.writeFileSync(output, code);
+  } else {
+    process.stdout.write(code);
+  }
+
+  return EXIT_OK;
+}
+
+
+function lint(palette, {paths, ext, hexOrder}) {
+  let extensions = ext.map(e => e.startsWith('.') ? e.toLowerCase() : `.${e.toLowerCase()}`);
+  let numProblems = 0;
+  let numFiles = 0;
+  for (let filePath of [].concat(...paths.map(p => findSourceFiles(p, extensions)))) {
+    let text = fs.readFileSync(filePath, 'utf8');
+    if (text.includes('\0')) {
+      continue; // binary file
+    }
+
+    numFiles++;
+    let literals = findColorLiterals(text, {
+      hexOrder: hexOrder || guessHexOrder(text, {fileName: filePath}),
+    });
+    for (let {line, column, text: literalText, color, syntax} of literals) {
+      if (!LINT_SYNTAXES.includes(syntax) || palette.findByHex(color).length) {
+        continue;
+      }
+
+      let [closest] = palette.findSimilar(color);
+      console.log(`${filePath}:${line}:${column}: ${literalText} isn't in the palette${closest
+          ? ` (closest: ${palette.formatName(closest)}, ΔE ${closest.deltaE.toFixed(1)})`
+          : ''}`);
+      numProblems++;
+    }
+  }
+
+  if (numProblems) {
+    console.error(`${numProblems} hard-coded ${numProblems == 1 ? 'color isn\'t' : 'colors aren\'t'
+        } in the palette (${numFiles} ${numFiles == 1 ? 'file' : 'files'} checked)`);
+    return EXIT_NOT_FOUND;
+  }
+
+  return EXIT_OK;
+}
+
+
+// files given directly are always checked, directories are searched for files
+// with the given extensions, skipping hidden files and node_modules
+function findSourceFiles(filePath, extensions) {
+  if (!fs.statSync(filePath).isDirectory()) {
+    return [filePath];
+  }
+
+  let files = [];
+  for (let entry of fs.readdirSync(filePath, {withFileTypes: true})) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+      continue;
+    }
+
+    let entryPath = path.join(filePath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findSourceFiles(entryPath, extensions));
+    } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+
+if (require.main === module) {
+  process.exitCode = runCli(hideBin(process.argv));
+}
+
+
+module.exports = {
+  CLI_COMMANDS,
+  runCli,
+};
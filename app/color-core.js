@@ -0,0 +1,408 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// The palette logic shared by the app window, the main process and the command
+// line, with no DOM or Electron dependencies, so scripts can use it too:
+//
+//   const {loadConfig, Palette} = require('./color-core.js');
+//   let {config} = loadConfig(os.homedir());
+//   let {palette} = Palette.load({homeDir: os.homedir(), config});
+//   palette.findByHex('#F44336').map(value => palette.formatName(value));
+//   // => ['Red 500']
+
+const fs = require('fs');
+const path = require('path');
+const tinycolor = require('tinycolor2');
+
+const {colorDifference} = require('./color-spaces.js');
+const {getContrast} = require('./contrast.js');
+const {getCopyFormats, getDefaultCopyFormat, renderCopyFormat, transformName} =
+    require('./formats.js');
+const {DEFAULT_CATALOG_IDS, resolveConfigPath, getCatalogs, loadCatalog, mergeColorSections} =
+    require('./palettes.js');
+const {loadConfigFile} = require('./validation.js');
+
+const CONFIG_FILENAME = '.materialcolorsapp.json';
+
+// named configs, e.g. one per client project, in ~/.materialcolors/profiles/<name>.json
+const PROFILES_DIRNAME = path.join('.materialcolors', 'profiles');
+
+const DEFAULT_SIMILAR_COLORS = {
+  count: 3,
+  maxDeltaE: 20, // CIEDE2000
+};
+
+const DEFAULT_CONTRASTING_COLORS = 6;
+
+
+/**
+ * Returns the profiles that can be switched between: the default one, which
+ * is ~/.materialcolorsapp.json, then the files in the profiles directory, as
+ * [{id, title, file}]. The default profile's id is null. Files that another
+ * config includes are shared layers rather than profiles, so they're left out.
+ */
+function getProfiles(homeDir) {
+  let defaultProfile = {id: null, title: 'Default', file: getConfigPath(homeDir)};
+
+  let profilesDir = getProfilesDir(homeDir);
+  let fileNames = [];
+  try {
+    fileNames = fs.readdirSync(profilesDir).filter(fileName => fileName.endsWith('.json')).sort();
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+
+  let profiles = fileNames.map(fileName => {
+    let id = path.basename(fileName, '.json');
+    return {id, title: id, file: path.join(profilesDir, fileName)};
+  });
+
+  let includedFiles = new Set();
+  for (let {file} of [defaultProfile, ...profiles]) {
+    // problems are reported when the profile is loaded
+    let {config} = loadConfigFile(file, {file});
+    for (let includePath of config.include || []) {
+      includedFiles.add(resolveConfigPath(includePath, homeDir, path.dirname(file)));
+    }
+  }
+
+  return [defaultProfile, ...profiles.filter(({file}) => !includedFiles.has(file))];
+}
+
+
+function getProfilesDir(homeDir) {
+  return path.join(homeDir, PROFILES_DIRNAME);
+}
+
+
+/**
+ * Returns the path of a profile's config file, i.e. the file the app saves
+ * changes to.
+ */
+function getConfigPath(homeDir, profile = null) {
+  return profile
+      ? path.join(getProfilesDir(homeDir), `${profile}.json`)
+      : path.join(homeDir, CONFIG_FILENAME);
+}
+
+
+/**
+ * Reads a profile's config file (by default ~/.materialcolorsapp.json) from the
+ * given home directory, returning {config, problems, readFailed, files}.
+ *
+ * The files listed in its "include" are merged in first, in order, so a
+ * profile can layer a team's base file, a project's file and its own
+ * overrides. Later files replace earlier settings and hues, and add to their
+ * copy formats and catalogs. Pass includes: false for just the profile's own
+ * settings, e.g. to edit them. Invalid entries are left out of config and
+ * described in problems ([{file, path, message}]). files lists every file that
+ * was read.
+ */
+function loadConfig(homeDir, {profile = null, includes = true} = {}) {
+  let problems = [];
+  let files = [];
+  let layers = [];
+  let readFailed = false;
+
+  // includeStack is the chain of files including this one, to catch cycles
+  let loadLayer = (filePath, includedBy = null, includeStack = []) => {
+    let file = getDisplayPath(filePath, homeDir);
+    if (includeStack.includes(filePath)) {
+      let cycle = [...includeStack.slice(includeStack.indexOf(filePath)), filePath]
+          .map(cycleFilePath => getDisplayPath(cycleFilePath, homeDir));
+      problems.push({file: includedBy, path: 'include', message: `include cycle: ${cycle.join(' → ')}`});
+      return;
+    } else if (files.includes(filePath)) {
+      // e.g. a base file that two included files both include; its settings
+      // are already merged in under both of them
+      return;
+    }
+
+    files.push(filePath);
+    if (includedBy && !fs.existsSync(filePath)) {
+      problems.push({file: includedBy, path: 'include', message: `${file} doesn't exist`});
+      readFailed = true;
+      return;
+    }
+
+    let result = loadConfigFile(filePath, {file});
+    problems.push(...result.problems);
+    readFailed = readFailed || !!result.readFailed;
+
+    let baseDir = path.dirname(filePath);
+    for (let includePath of (includes && result.config.include) || []) {
+      loadLayer(resolveConfigPath(includePath, homeDir, baseDir), file, [...includeStack, filePath]);
+    }
+
+    layers.push(resolveLayerPaths(result.config, homeDir, baseDir));
+  };
+
+  loadLayer(getConfigPath(homeDir, profile));
+  return {config: mergeConfigLayers(layers), problems, readFailed, files};
+}
+
+
+/**
+ * Returns the paths of a profile's config files and the files they refer to,
+ * like user catalogs, i.e. everything that changes what the app shows.
+ */
+function getConfigFilePaths(homeDir, {profile = null} = {}) {
+  let {config, files} = loadConfig(homeDir, {profile});
+  return [
+    ...files,
+    ...getCatalogs(config, homeDir).filter(({file}) => !!file).map(({file}) => file),
+  ];
+}
+
+
+// paths in files outside the home directory are relative to their own directory
+function resolveLayerPaths(config, homeDir, baseDir) {
+  if (baseDir === homeDir || !config.catalogs) {
+    return config;
+  }
+
+  return {
+    ...config,
+    catalogs: config.catalogs.map(catalog => ({
+      ...catalog,
+      file: resolveConfigPath(catalog.file, homeDir, baseDir),
+    })),
+  };
+}
+
+
+function mergeConfigLayers(layers) {
+  let merged = {};
+  for (let {include, ...config} of layers) {
+    for (let key of Object.keys(config)) {
+      let value = config[key];
+      if (key === 'copyFormats') {
+        // a later default replaces earlier ones
+        let copyFormats = merged.copyFormats || [];
+        if (value.some(format => format.default)) {
+          copyFormats = copyFormats.map(({default: _, ...format}) => format);
+        }
+        merged.copyFormats = [...copyFormats, ...value];
+      } else if (key === 'catalogs') {
+        merged.catalogs = [...(merged.catalogs || []), ...value];
+      } else if (isObject(value) && isObject(merged[key])) {
+        // e.g. extraColors, replaced a hue at a time
+        merged[key] = {...merged[key], ...value};
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+
+// e.g. ~/team/colors.json
+function getDisplayPath(filePath, homeDir) {
+  let relativePath = path.relative(homeDir, filePath);
+  return relativePath.startsWith('..') ? filePath : path.join('~', relativePath);
+}
+
+
+/**
+ * Changes a profile's config file with updateFn, which is given the file's
+ * contents (or {} if there isn't one) to modify in place. The file is re-read
+ * first, so keys the app doesn't know about and edits made since it was loaded
+ * are kept. Included files are never changed.
+ */
+function updateConfig(homeDir, updateFn, {profile = null} = {}) {
+  const configFilePath = getConfigPath(homeDir, profile);
+
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configFilePath)) || {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+
+  updateFn(config);
+
+  // write atomically, so a crash mid-write can't leave a truncated config
+  let tempFilePath = `${configFilePath}.tmp`;
+  fs.writeFileSync(tempFilePath, JSON.stringify(config, null, 2) + '\n');
+  fs.renameSync(tempFilePath, configFilePath);
+}
+
+
+/**
+ * A set of hues (shaped like colors.js) and the config it was loaded with,
+ * with lookups over all of its colors.
+ */
+class Palette {
+  /**
+   * Loads the hues the app shows: sessionHues (generated or imported hues that
+   * aren't saved), the config's extraColors, then the given catalogs. Returns
+   * {palette, problems}, where problems come from the catalog files.
+   */
+  static load({homeDir, config = {}, catalogIds = DEFAULT_CATALOG_IDS, sessionHues = null}) {
+    let catalogSections = getCatalogs(config, homeDir)
+        .filter(catalog => catalogIds.includes(catalog.id))
+        .map(catalog => ({id: catalog.id, ...loadCatalog(catalog)}));
+
+    let colors = mergeColorSections([
+      {id: 'session', hues: sessionHues},
+      {id: 'extra', hues: config.extraColors},
+      ...catalogSections,
+    ]);
+
+    return {
+      palette: new Palette(colors, config),
+      problems: [].concat(...catalogSections.map(({problems}) => problems)),
+    };
+  }
+
+  constructor(colors, config = {}) {
+    this.colors = colors;
+    this.config = config;
+    this.values = flattenHues(colors);
+  }
+
+  /**
+   * Returns the colors with the given hex value (or any color tinycolor
+   * understands), ignoring alpha.
+   */
+  findByHex(color) {
+    let hex = tinycolor(color).toHexString().toLowerCase();
+    return this.values.filter(value => value.hex.toLowerCase() === hex);
+  }
+
+  /**
+   * Returns the colors closest to the given one, closest first, with their
+   * CIEDE2000 difference from it as deltaE. count and maxDeltaE default to the
+   * config's "similarColors".
+   */
+  findSimilar(color, {count, maxDeltaE} = {}) {
+    let similarColors = {...DEFAULT_SIMILAR_COLORS, ...(this.config.similarColors || {})};
+    count = (count === undefined) ? similarColors.count : count;
+    maxDeltaE = (maxDeltaE === undefined) ? similarColors.maxDeltaE : maxDeltaE;
+
+    return this.values
+        .map(value => ({value, difference: colorDifference(color, value.hex)}))
+        .filter(obj => obj.difference <= maxDeltaE)
+        .sort((a, b) => (a.difference - b.difference))
+        .slice(0, count)
+        .map(obj => ({...obj.value, deltaE: obj.difference}));
+  }
+
+  /**
+   * Returns the colors that meet a contrast target (see CONTRAST_TARGETS) as
+   * text on the given background, with their contrast in the target's metric.
+   * They're sorted by CIEDE2000 difference from near if it's given, e.g. to
+   * replace a text color that doesn't meet the target, otherwise the ones that
+   * just meet it come first.
+   */
+  findContrasting(background, {target, near = null, count = DEFAULT_CONTRASTING_COLORS}) {
+    // the same color is often in several catalogs, only suggest it once
+    let seenHexes = new Set();
+    let candidates = this.values.filter(value => {
+      let hex = value.hex.toLowerCase();
+      if ((value.alpha !== undefined && value.alpha < 1) || seenHexes.has(hex)) {
+        return false;
+      }
+
+      seenHexes.add(hex);
+      return true;
+    });
+
+    return candidates
+        .map(value => ({value, contrast: getContrast(value.hex, background, target.metric)}))
+        .filter(({contrast}) => contrast >= target.min)
+        .map(obj => ({...obj, order: near ? colorDifference(near, obj.value.hex) : obj.contrast}))
+        .sort((a, b) => (a.order - b.order))
+        .slice(0, count)
+        .map(({value, contrast}) => ({...value, contrast}));
+  }
+
+  /**
+   * Renders a color's name in a copy format, by default the one used when
+   * clicking a name in the app.
+   */
+  formatName(value, format = getDefaultCopyFormat(this.config)) {
+    return renderCopyFormat(format, {
+      hueName: value.hueName,
+      groupName: value.groupName || null,
+      valueName: value.valueName,
+      hex: value.hex,
+      alpha: value.alpha,
+    });
+  }
+}
+
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+
+// [{hueName, groupName, valueName, hex, ...}] for every color in the hues
+function flattenHues(colors) {
+  let values = [];
+  Object.keys(colors).forEach(hueName => {
+    let hue = colors[hueName];
+
+    (hue._groups || []).forEach(group => {
+      (group.colors || []).forEach(color => {
+        values.push({
+          hueName,
+          groupName: group.title || null,
+          valueName: color.name,
+          ...color
+        });
+      });
+    });
+
+    Object.keys(hue)
+        .filter(k => !k.startsWith('_'))
+        .forEach(valueName => {
+          values.push({
+            hueName,
+            valueName,
+            ...hue[valueName]
+          });
+        });
+  });
+
+  return values;
+}
+
+
+module.exports = {
+  CONFIG_FILENAME,
+  DEFAULT_CATALOG_IDS,
+  getProfiles,
+  getProfilesDir,
+  getConfigPath,
+  loadConfig,
+  getConfigFilePaths,
+  updateConfig,
+  Palette,
+  getCopyFormats,
+  getDefaultCopyFormat,
+  renderCopyFormat,
+  transformName,
+};
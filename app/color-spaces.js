@@ -0,0 +1,317 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const tinycolor = require('tinycolor2');
+
+// reference whites, Y normalized to 1, from their chromaticities as in CSS
+// Color 4, so that the matrices below map white to white exactly
+const WHITE_D65 = {x: 0.3127 / 0.3290, y: 1, z: (1 - 0.3127 - 0.3290) / 0.3290};
+const WHITE_D50 = {x: 0.3457 / 0.3585, y: 1, z: (1 - 0.3457 - 0.3585) / 0.3585};
+
+
+/**
+ * Converts an sRGB channel value (0-1) to linear light.
+ */
+function srgbToLinear(c) {
+  return (c <= 0.04045) ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+
+/**
+ * Converts a linear light channel value to sRGB (0-1), without clamping.
+ */
+function linearToSrgb(c) {
+  return (c <= 0.0031308) ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+
+/**
+ * Converts an {r, g, b} color (channels 0-255) to CIE XYZ (D65, Y from 0-1).
+ */
+function rgbToXyz({r, g, b}) {
+  let lr = srgbToLinear(r / 255);
+  let lg = srgbToLinear(g / 255);
+  let lb = srgbToLinear(b / 255);
+  return {
+    x: 0.4123907992659593 * lr + 0.357584339383878 * lg + 0.1804807884018343 * lb,
+    y: 0.21263900587151024 * lr + 0.715168678767756 * lg + 0.07219231536073371 * lb,
+    z: 0.01933081871559182 * lr + 0.11919477979462598 * lg + 0.9505321522496607 * lb,
+  };
+}
+
+
+/**
+ * Converts CIE XYZ (D65) to an {r, g, b} color (channels 0-255), clamping
+ * out of gamut colors.
+ */
+function xyzToRgb({x, y, z}) {
+  let toChannel = c => Math.round(255 * Math.min(1, Math.max(0, linearToSrgb(c))));
+  return {
+    r: toChannel(3.2409699419045226 * x - 1.537383177570094 * y - 0.49861076029300344 * z),
+    g: toChannel(-0.9692436362808796 * x + 1.8759675015077204 * y + 0.0415550574071756 * z),
+    b: toChannel(0.05563007969699363 * x - 0.2039769588889765 * y + 1.0569715142428784 * z),
+  };
+}
+
+
+/**
+ * Chromatically adapts CIE XYZ from a D50 to a D65 white point (Bradford).
+ */
+function xyzD50ToD65({x, y, z}) {
+  return {
+    x: 0.955473421488075 * x - 0.023098454948764696 * y + 0.06325924320057073 * z,
+    y: -0.028369709333863888 * x + 1.0099953980813041 * y + 0.021041441191917327 * z,
+    z: 0.01231401486448199 * x - 0.020507649298898957 * y + 1.330365926242124 * z,
+  };
+}
+
+
+/**
+ * Chromatically adapts CIE XYZ from a D65 to a D50 white point (Bradford).
+ */
+function xyzD65ToD50({x, y, z}) {
+  return {
+    x: 1.0479297925449969 * x + 0.022946870601609708 * y - 0.05019226628920527 * z,
+    y: 0.029627808770055993 * x + 0.99043442675388 * y - 0.017073799063418826 * z,
+    z: -0.009243040646204514 * x + 0.015055191490298145 * y + 0.7518742814281372 * z,
+  };
+}
+
+
+/**
+ * Converts Display P3 channel values (0-1, gamma encoded like sRGB) to CIE XYZ (D65).
+ */
+function displayP3ToXyz({r, g, b}) {
+  let lr = srgbToLinear(r);
+  let lg = srgbToLinear(g);
+  let lb = srgbToLinear(b);
+  return {
+    x: 0.4865709486482162 * lr + 0.26566769316909306 * lg + 0.1982172852343625 * lb,
+    y: 0.2289745640697488 * lr + 0.6917385218365064 * lg + 0.079286914093745 * lb,
+    z: 0.04511338185890264 * lg + 1.043944368900976 * lb,
+  };
+}
+
+
+/**
+ * Converts CIE XYZ (D65) to Display P3 channel values (0-1), without clamping.
+ */
+function xyzToDisplayP3({x, y, z}) {
+  return {
+    r: linearToSrgb(2.493496911941425 * x - 0.9313836179191239 * y - 0.40271078445071684 * z),
+    g: linearToSrgb(-0.8294889695615747 * x + 1.7626640603183463 * y + 0.023624685841943577 * z),
+    b: linearToSrgb(0.03584583024378447 * x - 0.07617238926804182 * y + 0.9568845240076872 * z),
+  };
+}
+
+
+/**
+ * Converts an {r, g, b} color (channels 0-255) to OKLab.
+ * See https://bottosson.github.io/posts/oklab/
+ */
+function rgbToOklab({r, g, b}) {
+  let lr = srgbToLinear(r / 255);
+  let lg = srgbToLinear(g / 255);
+  let lb = srgbToLinear(b / 255);
+  let l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  let m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  let s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return {
+    l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  };
+}
+
+
+/**
+ * Converts OKLab to an {r, g, b} color (channels 0-255), clamping out of gamut
+ * colors.
+ */
+function oklabToRgb({l, a, b}) {
+  let lc = Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3);
+  let mc = Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3);
+  let sc = Math.pow(l - 0.0894841775 * a - 1.2914855480 * b, 3);
+  let toChannel = c => Math.round(255 * Math.min(1, Math.max(0, linearToSrgb(c))));
+  return {
+    r: toChannel(4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc),
+    g: toChannel(-1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc),
+    b: toChannel(-0.0041960863 * lc - 0.7034186147 * mc + 1.7076147010 * sc),
+  };
+}
+
+
+/**
+ * Converts CIE XYZ to CIELAB, relative to the given reference white (D65 by
+ * default).
+ */
+function xyzToLab({x, y, z}, white = WHITE_D65) {
+  let f = t => (t > 216 / 24389) ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  let fx = f(x / white.x);
+  let fy = f(y / white.y);
+  let fz = f(z / white.z);
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz),
+  };
+}
+
+
+/**
+ * Converts CIELAB to CIE XYZ, relative to the given reference white (D65 by
+ * default; pass WHITE_D50 for Lab values from ICC-based tools and CSS).
+ */
+function labToXyz({l, a, b}, white = WHITE_D65) {
+  let fy = (l + 16) / 116;
+  let fx = fy + a / 500;
+  let fz = fy - b / 200;
+  let finv = t => (t * t * t > 216 / 24389) ? t * t * t : (116 * t - 16) / (24389 / 27);
+  return {
+    x: white.x * finv(fx),
+    y: white.y * finv(fy),
+    z: white.z * finv(fz),
+  };
+}
+
+
+/**
+ * Converts any color tinycolor understands to CIELAB.
+ */
+function toLab(color) {
+  return xyzToLab(rgbToXyz(tinycolor(color).toRgb()));
+}
+
+
+/**
+ * Computes the CIEDE2000 color difference between two CIELAB colors.
+ * See https://en.wikipedia.org/wiki/Color_difference#CIEDE2000
+ */
+function deltaE2000(lab1, lab2) {
+  const rad = deg => deg * Math.PI / 180;
+  const deg = rad => rad * 180 / Math.PI;
+
+  let c1 = Math.hypot(lab1.a, lab1.b);
+  let c2 = Math.hypot(lab2.a, lab2.b);
+  let cBar = (c1 + c2) / 2;
+  let g = 0.5 * (1 - Math.sqrt(Math.pow(cBar, 7) / (Math.pow(cBar, 7) + Math.pow(25, 7))));
+
+  let a1 = lab1.a * (1 + g);
+  let a2 = lab2.a * (1 + g);
+  let c1p = Math.hypot(a1, lab1.b);
+  let c2p = Math.hypot(a2, lab2.b);
+  let h1p = (c1p === 0) ? 0 : (deg(Math.atan2(lab1.b, a1)) + 360) % 360;
+  let h2p = (c2p === 0) ? 0 : (deg(Math.atan2(lab2.b, a2)) + 360) % 360;
+
+  let dLp = lab2.l - lab1.l;
+  let dCp = c2p - c1p;
+  let dhp = 0;
+  if (c1p * c2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) {
+      dhp -= 360;
+    } else if (dhp < -180) {
+      dhp += 360;
+    }
+  }
+  let dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(rad(dhp) / 2);
+
+  let lBarP = (lab1.l + lab2.l) / 2;
+  let cBarP = (c1p + c2p) / 2;
+  let hBarP = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) {
+      hBarP = (h1p + h2p) / 2;
+    } else if (h1p + h2p < 360) {
+      hBarP = (h1p + h2p + 360) / 2;
+    } else {
+      hBarP = (h1p + h2p - 360) / 2;
+    }
+  }
+
+  let t = 1
+      - 0.17 * Math.cos(rad(hBarP - 30))
+      + 0.24 * Math.cos(rad(2 * hBarP))
+      + 0.32 * Math.cos(rad(3 * hBarP + 6))
+      - 0.20 * Math.cos(rad(4 * hBarP - 63));
+  let dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+  let rc = 2 * Math.sqrt(Math.pow(cBarP, 7) / (Math.pow(cBarP, 7) + Math.pow(25, 7)));
+  let sl = 1 + (0.015 * Math.pow(lBarP - 50, 2)) / Math.sqrt(20 + Math.pow(lBarP - 50, 2));
+  let sc = 1 + 0.045 * cBarP;
+  let sh = 1 + 0.015 * cBarP * t;
+  let rt = -Math.sin(rad(2 * dTheta)) * rc;
+
+  return Math.sqrt(
+      Math.pow(dLp / sl, 2)
+      + Math.pow(dCp / sc, 2)
+      + Math.pow(dHp / sh, 2)
+      + rt * (dCp / sc) * (dHp / sh));
+}
+
+
+/**
+ * Returns the perceptual (CIEDE2000) difference between two colors, in any
+ * format tinycolor understands. Alpha is ignored.
+ */
+function colorDifference(colorA, colorB) {
+  return deltaE2000(toLab(colorA), toLab(colorB));
+}
+
+
+/**
+ * Returns how colorB differs from colorA: the CIEDE2000 difference (deltaE)
+ * and the CIE LCh lightness, chroma and hue (in degrees, -180 to 180)
+ * differences. Alpha is ignored.
+ */
+function compareColors(colorA, colorB) {
+  let toLch = color => {
+    let {l, a, b} = toLab(color);
+    return {l, c: Math.hypot(a, b), h: (Math.atan2(b, a) * 180 / Math.PI + 360) % 360};
+  };
+
+  let lchA = toLch(colorA);
+  let lchB = toLch(colorB);
+  return {
+    deltaE: colorDifference(colorA, colorB),
+    deltaL: lchB.l - lchA.l,
+    deltaC: lchB.c - lchA.c,
+    deltaH: (lchB.h - lchA.h + 540) % 360 - 180,
+  };
+}
+
+
+module.exports = {
+  WHITE_D50,
+  WHITE_D65,
+  srgbToLinear,
+  linearToSrgb,
+  rgbToXyz,
+  xyzToRgb,
+  xyzD50ToD65,
+  xyzD65ToD50,
+  displayP3ToXyz,
+  xyzToDisplayP3,
+  rgbToOklab,
+  oklabToRgb,
+  xyzToLab,
+  labToXyz,
+  toLab,
+  deltaE2000,
+  colorDifference,
+  compareColors,
+};
@@ -0,0 +1,261 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// CSS named colors (https://www.w3.org/TR/css-color-4/#named-colors), grouped
+// into families. The grey spellings (e.g. 'darkgrey') are left out.
+module.exports = {
+  'reds': {
+    '_selectorLight': '#FF0000',
+    '_selectorDark': '#F08080',
+    '_groups': [
+      {
+        colors: [
+          {name: 'indianred', hex: '#CD5C5C'},
+          {name: 'lightcoral', hex: '#F08080'},
+          {name: 'salmon', hex: '#FA8072'},
+          {name: 'darksalmon', hex: '#E9967A'},
+          {name: 'lightsalmon', hex: '#FFA07A'},
+          {name: 'crimson', hex: '#DC143C'},
+          {name: 'red', hex: '#FF0000'},
+          {name: 'firebrick', hex: '#B22222'},
+          {name: 'darkred', hex: '#8B0000'}
+        ]
+      }
+    ]
+  },
+  'pinks': {
+    '_selectorLight': '#FF69B4',
+    '_selectorDark': '#FFB6C1',
+    '_groups': [
+      {
+        colors: [
+          {name: 'pink', hex: '#FFC0CB'},
+          {name: 'lightpink', hex: '#FFB6C1'},
+          {name: 'hotpink', hex: '#FF69B4'},
+          {name: 'deeppink', hex: '#FF1493'},
+          {name: 'mediumvioletred', hex: '#C71585'},
+          {name: 'palevioletred', hex: '#DB7093'}
+        ]
+      }
+    ]
+  },
+  'oranges': {
+    '_selectorLight': '#FF8C00',
+    '_selectorDark': '#FFA500',
+    '_groups': [
+      {
+        colors: [
+          {name: 'coral', hex: '#FF7F50'},
+          {name: 'tomato', hex: '#FF6347'},
+          {name: 'orangered', hex: '#FF4500'},
+          {name: 'darkorange', hex: '#FF8C00'},
+          {name: 'orange', hex: '#FFA500'}
+        ]
+      }
+    ]
+  },
+  'yellows': {
+    '_selectorLight': '#FFD700',
+    '_selectorDark': '#FFFF00',
+    '_groups': [
+      {
+        colors: [
+          {name: 'gold', hex: '#FFD700'},
+          {name: 'yellow', hex: '#FFFF00'},
+          {name: 'lightyellow', hex: '#FFFFE0'},
+          {name: 'lemonchiffon', hex: '#FFFACD'},
+          {name: 'lightgoldenrodyellow', hex: '#FAFAD2'},
+          {name: 'papayawhip', hex: '#FFEFD5'},
+          {name: 'moccasin', hex: '#FFE4B5'},
+          {name: 'peachpuff', hex: '#FFDAB9'},
+          {name: 'palegoldenrod', hex: '#EEE8AA'},
+          {name: 'khaki', hex: '#F0E68C'},
+          {name: 'darkkhaki', hex: '#BDB76B'}
+        ]
+      }
+    ]
+  },
+  'purples': {
+    '_selectorLight': '#800080',
+    '_selectorDark': '#DA70D6',
+    '_groups': [
+      {
+        colors: [
+          {name: 'lavender', hex: '#E6E6FA'},
+          {name: 'thistle', hex: '#D8BFD8'},
+          {name: 'plum', hex: '#DDA0DD'},
+          {name: 'violet', hex: '#EE82EE'},
+          {name: 'orchid', hex: '#DA70D6'},
+          {name: 'fuchsia', hex: '#FF00FF'},
+          {name: 'magenta', hex: '#FF00FF'},
+          {name: 'mediumorchid', hex: '#BA55D3'},
+          {name: 'mediumpurple', hex: '#9370DB'},
+          {name: 'rebeccapurple', hex: '#663399'},
+          {name: 'blueviolet', hex: '#8A2BE2'},
+          {name: 'darkviolet', hex: '#9400D3'},
+          {name: 'darkorchid', hex: '#9932CC'},
+          {name: 'darkmagenta', hex: '#8B008B'},
+          {name: 'purple', hex: '#800080'},
+          {name: 'indigo', hex: '#4B0082'},
+          {name: 'slateblue', hex: '#6A5ACD'},
+          {name: 'darkslateblue', hex: '#483D8B'},
+          {name: 'mediumslateblue', hex: '#7B68EE'}
+        ]
+      }
+    ]
+  },
+  'greens': {
+    '_selectorLight': '#008000',
+    '_selectorDark': '#32CD32',
+    '_groups': [
+      {
+        colors: [
+          {name: 'greenyellow', hex: '#ADFF2F'},
+          {name: 'chartreuse', hex: '#7FFF00'},
+          {name: 'lawngreen', hex: '#7CFC00'},
+          {name: 'lime', hex: '#00FF00'},
+          {name: 'limegreen', hex: '#32CD32'},
+          {name: 'palegreen', hex: '#98FB98'},
+          {name: 'lightgreen', hex: '#90EE90'},
+          {name: 'mediumspringgreen', hex: '#00FA9A'},
+          {name: 'springgreen', hex: '#00FF7F'},
+          {name: 'mediumseagreen', hex: '#3CB371'},
+          {name: 'seagreen', hex: '#2E8B57'},
+          {name: 'forestgreen', hex: '#228B22'},
+          {name: 'green', hex: '#008000'},
+          {name: 'darkgreen', hex: '#006400'},
+          {name: 'yellowgreen', hex: '#9ACD32'},
+          {name: 'olivedrab', hex: '#6B8E23'},
+          {name: 'olive', hex: '#808000'},
+          {name: 'darkolivegreen', hex: '#556B2F'},
+          {name: 'mediumaquamarine', hex: '#66CDAA'},
+          {name: 'darkseagreen', hex: '#8FBC8B'},
+          {name: 'lightseagreen', hex: '#20B2AA'},
+          {name: 'darkcyan', hex: '#008B8B'},
+          {name: 'teal', hex: '#008080'}
+        ]
+      }
+    ]
+  },
+  'blues': {
+    '_selectorLight': '#0000FF',
+    '_selectorDark': '#6495ED',
+    '_groups': [
+      {
+        colors: [
+          {name: 'aqua', hex: '#00FFFF'},
+          {name: 'cyan', hex: '#00FFFF'},
+          {name: 'lightcyan', hex: '#E0FFFF'},
+          {name: 'paleturquoise', hex: '#AFEEEE'},
+          {name: 'aquamarine', hex: '#7FFFD4'},
+          {name: 'turquoise', hex: '#40E0D0'},
+          {name: 'mediumturquoise', hex: '#48D1CC'},
+          {name: 'darkturquoise', hex: '#00CED1'},
+          {name: 'cadetblue', hex: '#5F9EA0'},
+          {name: 'steelblue', hex: '#4682B4'},
+          {name: 'lightsteelblue', hex: '#B0C4DE'},
+          {name: 'powderblue', hex: '#B0E0E6'},
+          {name: 'lightblue', hex: '#ADD8E6'},
+          {name: 'skyblue', hex: '#87CEEB'},
+          {name: 'lightskyblue', hex: '#87CEFA'},
+          {name: 'deepskyblue', hex: '#00BFFF'},
+          {name: 'dodgerblue', hex: '#1E90FF'},
+          {name: 'cornflowerblue', hex: '#6495ED'},
+          {name: 'royalblue', hex: '#4169E1'},
+          {name: 'blue', hex: '#0000FF'},
+          {name: 'mediumblue', hex: '#0000CD'},
+          {name: 'darkblue', hex: '#00008B'},
+          {name: 'navy', hex: '#000080'},
+          {name: 'midnightblue', hex: '#191970'}
+        ]
+      }
+    ]
+  },
+  'browns': {
+    '_selectorLight': '#A52A2A',
+    '_selectorDark': '#D2B48C',
+    '_groups': [
+      {
+        colors: [
+          {name: 'cornsilk', hex: '#FFF8DC'},
+          {name: 'blanchedalmond', hex: '#FFEBCD'},
+          {name: 'bisque', hex: '#FFE4C4'},
+          {name: 'navajowhite', hex: '#FFDEAD'},
+          {name: 'wheat', hex: '#F5DEB3'},
+          {name: 'burlywood', hex: '#DEB887'},
+          {name: 'tan', hex: '#D2B48C'},
+          {name: 'rosybrown', hex: '#BC8F8F'},
+          {name: 'sandybrown', hex: '#F4A460'},
+          {name: 'goldenrod', hex: '#DAA520'},
+          {name: 'darkgoldenrod', hex: '#B8860B'},
+          {name: 'peru', hex: '#CD853F'},
+          {name: 'chocolate', hex: '#D2691E'},
+          {name: 'saddlebrown', hex: '#8B4513'},
+          {name: 'sienna', hex: '#A0522D'},
+          {name: 'brown', hex: '#A52A2A'},
+          {name: 'maroon', hex: '#800000'}
+        ]
+      }
+    ]
+  },
+  'whites': {
+    '_selectorLight': '#F5F5DC',
+    '_selectorDark': '#FFFFFF',
+    '_groups': [
+      {
+        colors: [
+          {name: 'white', hex: '#FFFFFF'},
+          {name: 'snow', hex: '#FFFAFA'},
+          {name: 'honeydew', hex: '#F0FFF0'},
+          {name: 'mintcream', hex: '#F5FFFA'},
+          {name: 'azure', hex: '#F0FFFF'},
+          {name: 'aliceblue', hex: '#F0F8FF'},
+          {name: 'ghostwhite', hex: '#F8F8FF'},
+          {name: 'whitesmoke', hex: '#F5F5F5'},
+          {name: 'seashell', hex: '#FFF5EE'},
+          {name: 'beige', hex: '#F5F5DC'},
+          {name: 'oldlace', hex: '#FDF5E6'},
+          {name: 'floralwhite', hex: '#FFFAF0'},
+          {name: 'ivory', hex: '#FFFFF0'},
+          {name: 'antiquewhite', hex: '#FAEBD7'},
+          {name: 'linen', hex: '#FAF0E6'},
+          {name: 'lavenderblush', hex: '#FFF0F5'},
+          {name: 'mistyrose', hex: '#FFE4E1'}
+        ]
+      }
+    ]
+  },
+  'grays': {
+    '_selectorLight': '#808080',
+    '_selectorDark': '#C0C0C0',
+    '_groups': [
+      {
+        colors: [
+          {name: 'gainsboro', hex: '#DCDCDC'},
+          {name: 'lightgray', hex: '#D3D3D3'},
+          {name: 'silver', hex: '#C0C0C0'},
+          {name: 'darkgray', hex: '#A9A9A9'},
+          {name: 'gray', hex: '#808080'},
+          {name: 'dimgray', hex: '#696969'},
+          {name: 'lightslategray', hex: '#778899'},
+          {name: 'slategray', hex: '#708090'},
+          {name: 'darkslategray', hex: '#2F4F4F'},
+          {name: 'black', hex: '#000000'}
+        ]
+      }
+    ]
+  }
+};
@@ -0,0 +1,122 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Material 3 baseline reference palettes (md.ref.palette), as published in the
+// Material 3 design tokens. Value names are HCT tones (see hct.js).
+module.exports = {
+  'm3-primary': {
+    '_selectorLight': '#6750A4',
+    '_selectorDark': '#D0BCFF',
+    't0':   {hex: '#000000'},
+    't10':  {hex: '#21005D'},
+    't20':  {hex: '#381E72'},
+    't30':  {hex: '#4F378B'},
+    't40':  {hex: '#6750A4'},
+    't50':  {hex: '#7F67BE'},
+    't60':  {hex: '#9A82DB'},
+    't70':  {hex: '#B69DF8'},
+    't80':  {hex: '#D0BCFF'},
+    't90':  {hex: '#EADDFF'},
+    't95':  {hex: '#F6EDFF'},
+    't99':  {hex: '#FFFBFE'},
+    't100': {hex: '#FFFFFF'}
+  },
+  'm3-secondary': {
+    '_selectorLight': '#625B71',
+    '_selectorDark': '#CCC2DC',
+    't0':   {hex: '#000000'},
+    't10':  {hex: '#1D192B'},
+    't20':  {hex: '#332D41'},
+    't30':  {hex: '#4A4458'},
+    't40':  {hex: '#625B71'},
+    't50':  {hex: '#7A7289'},
+    't60':  {hex: '#958DA5'},
+    't70':  {hex: '#B0A7C0'},
+    't80':  {hex: '#CCC2DC'},
+    't90':  {hex: '#E8DEF8'},
+    't95':  {hex: '#F6EDFF'},
+    't99':  {hex: '#FFFBFE'},
+    't100': {hex: '#FFFFFF'}
+  },
+  'm3-tertiary': {
+    '_selectorLight': '#7D5260',
+    '_selectorDark': '#EFB8C8',
+    't0':   {hex: '#000000'},
+    't10':  {hex: '#31111D'},
+    't20':  {hex: '#492532'},
+    't30':  {hex: '#633B48'},
+    't40':  {hex: '#7D5260'},
+    't50':  {hex: '#986977'},
+    't60':  {hex: '#B58392'},
+    't70':  {hex: '#D29DAC'},
+    't80':  {hex: '#EFB8C8'},
+    't90':  {hex: '#FFD8E4'},
+    't95':  {hex: '#FFECF1'},
+    't99':  {hex: '#FFFBFA'},
+    't100': {hex: '#FFFFFF'}
+  },
+  'm3-neutral': {
+    '_selectorLight': '#605D62',
+    '_selectorDark': '#C9C5CA',
+    't0':   {hex: '#000000'},
+    't10':  {hex: '#1C1B1F'},
+    't20':  {hex: '#313033'},
+    't30':  {hex: '#484649'},
+    't40':  {hex: '#605D62'},
+    't50':  {hex: '#787579'},
+    't60':  {hex: '#939094'},
+    't70':  {hex: '#AEAAAE'},
+    't80':  {hex: '#C9C5CA'},
+    't90':  {hex: '#E6E1E5'},
+    't95':  {hex: '#F4EFF4'},
+    't99':  {hex: '#FFFBFE'},
+    't100': {hex: '#FFFFFF'}
+  },
+  'm3-neutral-variant': {
+    '_selectorLight': '#605D66',
+    '_selectorDark': '#CAC4D0',
+    't0':   {hex: '#000000'},
+    't10':  {hex: '#1D1A22'},
+    't20':  {hex: '#322F37'},
+    't30':  {hex: '#49454F'},
+    't40':  {hex: '#605D66'},
+    't50':  {hex: '#79747E'},
+    't60':  {hex: '#938F99'},
+    't70':  {hex: '#AEA9B4'},
+    't80':  {hex: '#CAC4D0'},
+    't90':  {hex: '#E7E0EC'},
+    't95':  {hex: '#F5EEFA'},
+    't99':  {hex: '#FFFBFE'},
+    't100': {hex: '#FFFFFF'}
+  },
+  'm3-error': {
+    '_selectorLight': '#B3261E',
+    '_selectorDark': '#F2B8B5',
+    't0':   {hex: '#000000'},
+    't10':  {hex: '#410E0B'},
+    't20':  {hex: '#601410'},
+    't30':  {hex: '#8C1D18'},
+    't40':  {hex: '#B3261E'},
+    't50':  {hex: '#DC362E'},
+    't60':  {hex: '#E46962'},
+    't70':  {hex: '#EC928E'},
+    't80':  {hex: '#F2B8B5'},
+    't90':  {hex: '#F9DEDC'},
+    't95':  {hex: '#FCEEEE'},
+    't99':  {hex: '#FFFBF9'},
+    't100': {hex: '#FFFFFF'}
+  }
+};
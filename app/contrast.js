@@ -0,0 +1,195 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const tinycolor = require('tinycolor2');
+
+const {srgbToLinear} = require('./color-spaces.js');
+
+// WCAG 2.x levels, large text is at least 18pt, or 14pt bold
+const WCAG_LEVELS = [
+  {id: 'aa', title: 'AA', minRatio: 4.5, minRatioLarge: 3},
+  {id: 'aaa', title: 'AAA', minRatio: 7, minRatioLarge: 4.5},
+];
+
+// what text colors can be suggested for, either a WCAG ratio or an APCA Lc
+const CONTRAST_TARGETS = [
+  {id: 'aa-large', title: 'AA large text (3:1)', metric: 'wcag', min: 3},
+  {id: 'aa', title: 'AA (4.5:1)', metric: 'wcag', min: 4.5},
+  {id: 'aaa', title: 'AAA (7:1)', metric: 'wcag', min: 7},
+  {id: 'apca-45', title: 'APCA Lc 45 (headlines)', metric: 'apca', min: 45},
+  {id: 'apca-60', title: 'APCA Lc 60 (text)', metric: 'apca', min: 60},
+  {id: 'apca-75', title: 'APCA Lc 75 (body text)', metric: 'apca', min: 75},
+  {id: 'apca-90', title: 'APCA Lc 90 (preferred body text)', metric: 'apca', min: 90},
+];
+
+// APCA-W3 0.0.98G-4g constants, see https://github.com/Myndex/apca-w3
+const APCA = {
+  mainTrc: 2.4,
+  sRco: 0.2126729,
+  sGco: 0.7151522,
+  sBco: 0.0721750,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scaleBoW: 1.14,
+  scaleWoB: 1.14,
+  loBoWoffset: 0.027,
+  loWoBoffset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1,
+};
+
+
+/**
+ * Returns a translucent color as it looks over an opaque background, as an
+ * opaque tinycolor.
+ */
+function compositeOver(color, background) {
+  color = tinycolor(color);
+  background = tinycolor(background).toRgb();
+  let {r, g, b, a} = color.toRgb();
+  return tinycolor({
+    r: r * a + background.r * (1 - a),
+    g: g * a + background.g * (1 - a),
+    b: b * a + background.b * (1 - a),
+  });
+}
+
+
+/**
+ * Returns a color's WCAG 2.x relative luminance (0-1), ignoring alpha.
+ */
+function relativeLuminance(color) {
+  let {r, g, b} = tinycolor(color).toRgb();
+  return 0.2126 * srgbToLinear(r / 255)
+      + 0.7152 * srgbToLinear(g / 255)
+      + 0.0722 * srgbToLinear(b / 255);
+}
+
+
+/**
+ * Returns the WCAG 2.x contrast ratio (1-21) of text over a background.
+ * Translucent text is composited over the background first.
+ */
+function contrastRatio(text, background) {
+  let l1 = relativeLuminance(compositeOver(text, background));
+  let l2 = relativeLuminance(background);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+
+/**
+ * Returns which WCAG levels a contrast ratio passes, for normal and large
+ * text, as {aa: {normal, large}, aaa: {normal, large}}.
+ */
+function getWcagResults(ratio) {
+  let results = {};
+  for (let {id, minRatio, minRatioLarge} of WCAG_LEVELS) {
+    results[id] = {normal: ratio >= minRatio, large: ratio >= minRatioLarge};
+  }
+  return results;
+}
+
+
+/**
+ * Returns the best WCAG level a contrast ratio reaches: 'AAA', 'AA',
+ * 'AA Large' (only for large text) or null.
+ */
+function getWcagLevel(ratio) {
+  let wcag = getWcagResults(ratio);
+  return wcag.aaa.normal ? 'AAA'
+      : wcag.aa.normal ? 'AA'
+      : wcag.aa.large ? 'AA Large'
+      : null;
+}
+
+
+/**
+ * Returns the APCA lightness contrast (Lc) of text over a background, about
+ * -108 to 106. It's positive for dark text on a light background and negative
+ * for light text on a dark one.
+ */
+function apcaContrast(text, background) {
+  let textY = apcaLuminance(compositeOver(text, background));
+  let backgroundY = apcaLuminance(background);
+  if (Math.abs(backgroundY - textY) < APCA.deltaYmin) {
+    return 0;
+  }
+
+  if (backgroundY > textY) {
+    let contrast = (Math.pow(backgroundY, APCA.normBG) - Math.pow(textY, APCA.normTXT)) * APCA.scaleBoW;
+    return (contrast < APCA.loClip) ? 0 : (contrast - APCA.loBoWoffset) * 100;
+  }
+
+  let contrast = (Math.pow(backgroundY, APCA.revBG) - Math.pow(textY, APCA.revTXT)) * APCA.scaleWoB;
+  return (contrast > -APCA.loClip) ? 0 : (contrast + APCA.loWoBoffset) * 100;
+}
+
+
+// screen luminance as APCA estimates it, with a soft clamp for near-blacks
+function apcaLuminance(color) {
+  let {r, g, b} = tinycolor(color).toRgb();
+  let y = APCA.sRco * Math.pow(r / 255, APCA.mainTrc)
+      + APCA.sGco * Math.pow(g / 255, APCA.mainTrc)
+      + APCA.sBco * Math.pow(b / 255, APCA.mainTrc);
+  return (y > APCA.blkThrs) ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+}
+
+
+/**
+ * Returns the contrast of text over a background in a target's metric: the
+ * WCAG ratio, or the APCA Lc regardless of polarity.
+ */
+function getContrast(text, background, metric) {
+  return (metric === 'apca')
+      ? Math.abs(apcaContrast(text, background))
+      : contrastRatio(text, background);
+}
+
+
+/**
+ * Returns the text colors (white and black) that pass WCAG AA as text on a
+ * background, or the better one with the level it does reach, as
+ * [{text: '#fff'|'#000', ratio, level: 'AAA'|'AA'|'AA Large'|null}].
+ */
+function getTextColorsForBackground(background) {
+  let results = ['#fff', '#000'].map(text => {
+    let ratio = contrastRatio(text, background);
+    return {text, ratio, level: getWcagLevel(ratio)};
+  });
+
+  let passing = results.filter(({ratio}) => ratio >= WCAG_LEVELS[0].minRatio);
+  return passing.length ? passing : [results.sort((a, b) => b.ratio - a.ratio)[0]];
+}
+
+
+module.exports = {
+  WCAG_LEVELS,
+  CONTRAST_TARGETS,
+  compositeOver,
+  relativeLuminance,
+  contrastRatio,
+  getWcagResults,
+  getWcagLevel,
+  apcaContrast,
+  getContrast,
+  getTextColorsForBackground,
+};
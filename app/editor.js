@@ -0,0 +1,667 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const $ = require('jquery');
+const electron = require('electron');
+const fs = require('fs');
+const tinycolor = require('tinycolor2');
+
+const {getConfigPath, updateConfig} = require('./color-core.js');
+const {validateHues} = require('./validation.js');
+
+const NEW_COLOR_HEX = '#9E9E9E';
+const MAX_UNDO_STEPS = 100;
+
+
+/**
+ * Edits the hues in the active profile's "extraColors" (not those from files it
+ * includes), which are kept as a list of {id, name, hue} here so they can be
+ * renamed and reordered, and written back when saving.
+ */
+class PaletteEditor {
+  constructor() {
+    this._homeDir = electron.ipcRenderer.sendSync('get-home-directory');
+    this._profile = electron.ipcRenderer.sendSync('get-active-profile');
+    this._undoStack = [];
+    this._redoStack = [];
+    this._nextHueId = 0;
+
+    this.CLASS_NAMES = {
+      colorHexInput: 'color-hex-input',
+      colorNameInput: 'color-name-input',
+      colorPicker: 'color-picker',
+      colorRow: 'color-row',
+      editorButton: 'editor-button',
+      editorDetail: 'editor-detail',
+      editorEmpty: 'editor-empty',
+      editorProblems: 'editor-problems',
+      editorToolbar: 'editor-toolbar',
+      field: 'field',
+      fieldLabel: 'field-label',
+      groupHeader: 'group-header',
+      groupTitleInput: 'group-title-input',
+      hueList: 'hue-list',
+      hueListButtons: 'hue-list-buttons',
+      hueListItem: 'hue-list-item',
+      hueListSwatch: 'hue-list-swatch',
+      hueNameInput: 'hue-name-input',
+      isDarkMode: 'is-dark-mode',
+      isDirty: 'is-dirty',
+      isSelected: 'is-selected',
+      linkButton: 'link-button',
+      sectionHeading: 'section-heading',
+      toolbarSpacer: 'toolbar-spacer',
+    };
+
+    this._init();
+  }
+
+  _init() {
+    $('body').toggleClass(this.CLASS_NAMES.isDarkMode,
+        !!document.location.search.includes('darkMode=true'));
+    if (this._profile) {
+      document.title = `Edit Palette — ${this._profile}`;
+    }
+    electron.ipcRenderer.on('dark-mode-updated', (event, isDarkMode) =>
+        $('body').toggleClass(this.CLASS_NAMES.isDarkMode, isDarkMode));
+
+    this.$hueList = $(`.${this.CLASS_NAMES.hueList}`);
+    this.$detail = $(`.${this.CLASS_NAMES.editorDetail}`);
+    this.$problems = $(`.${this.CLASS_NAMES.editorProblems}`);
+
+    this._buildToolbar();
+    this._buildHueListButtons();
+
+    electron.ipcRenderer.on('select-hue', (event, hueName) => this._selectHueByName(hueName));
+
+    $(window).on('keydown', event => this._onKeyDown(event));
+    window.onbeforeunload = () => this._confirmClose();
+
+    try {
+      this._load();
+    } catch (e) {
+      // don't risk overwriting a config file that couldn't be read
+      electron.remote.dialog.showErrorBox('Couldn\'t open the palette', e.message);
+      electron.remote.getCurrentWindow().destroy();
+      return;
+    }
+
+    let params = new URLSearchParams(document.location.search);
+    this._selectHueByName(params.get('hue'));
+    this._render();
+  }
+
+  _load() {
+    let config = {};
+    try {
+      config = JSON.parse(fs.readFileSync(getConfigPath(this._homeDir, this._profile))) || {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+
+    let extraColors = config.extraColors || {};
+    this._hues = Object.keys(extraColors).map(name =>
+        ({id: this._nextHueId++, name, hue: extraColors[name]}));
+    this._selectedIndex = this._hues.length ? 0 : -1;
+    this._savedState = this._getState();
+    this._savedExtraColors = JSON.stringify(extraColors);
+  }
+
+  _buildToolbar() {
+    let $toolbar = $(`.${this.CLASS_NAMES.editorToolbar}`);
+    let buttons = [
+      {id: 'undo', label: 'Undo', title: 'Undo (⌘Z)', click: () => this._undo()},
+      {id: 'redo', label: 'Redo', title: 'Redo (⇧⌘Z)', click: () => this._redo()},
+      {id: 'spacer'},
+      {id: 'save', label: 'Save', title: 'Save to the config file (⌘S)', click: () => this._save()},
+    ];
+
+    this._toolbarButtons = {};
+    for (let {id, label, title, click} of buttons) {
+      if (id === 'spacer') {
+        $('<div>').addClass(this.CLASS_NAMES.toolbarSpacer).appendTo($toolbar);
+        continue;
+      }
+
+      this._toolbarButtons[id] = $('<button>')
+          .addClass(this.CLASS_NAMES.editorButton)
+          .text(label)
+          .attr('title', title)
+          .on('click', click)
+          .appendTo($toolbar);
+    }
+  }
+
+  _buildHueListButtons() {
+    let $buttons = $(`.${this.CLASS_NAMES.hueListButtons}`);
+    let buttons = [
+      {id: 'add', label: '+', title: 'New hue', click: () => this._addHue()},
+      {id: 'delete', label: '−', title: 'Delete hue', click: () => this._deleteHue()},
+      {id: 'up', label: '↑', title: 'Move up', click: () => this._moveHue(-1)},
+      {id: 'down', label: '↓', title: 'Move down', click: () => this._moveHue(1)},
+    ];
+
+    this._hueListButtons = {};
+    for (let {id, label, title, click} of buttons) {
+      this._hueListButtons[id] = $('<button>')
+          .addClass(this.CLASS_NAMES.editorButton)
+          .text(label)
+          .attr('title', title)
+          .on('click', click)
+          .appendTo($buttons);
+    }
+  }
+
+  _onKeyDown(event) {
+    if (!event.metaKey && !event.ctrlKey) {
+      return;
+    }
+
+    let key = event.key.toLowerCase();
+    if (key === 's') {
+      event.preventDefault();
+      this._save();
+    } else if (key === 'z' && !this._isEditingText()) {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this._redo();
+      } else {
+        this._undo();
+      }
+    }
+  }
+
+  // text fields handle their own undo until their change is committed
+  _isEditingText() {
+    let $active = $(document.activeElement);
+    return $active.is('input[type="text"]') && $active.val() !== $active.data('committed');
+  }
+
+  _getState() {
+    return JSON.stringify(this._hues);
+  }
+
+  _isDirty() {
+    return this._getState() !== this._savedState;
+  }
+
+  /**
+   * Makes an undoable change to the hues, then re-renders.
+   */
+  _change(changeFn) {
+    let before = {hues: this._getState(), selectedIndex: this._selectedIndex};
+    changeFn();
+    if (this._getState() === before.hues) {
+      this._render();
+      return;
+    }
+
+    this._undoStack.push(before);
+    this._undoStack.splice(0, this._undoStack.length - MAX_UNDO_STEPS);
+    this._redoStack = [];
+    this._render();
+  }
+
+  _undo() {
+    this._restore(this._undoStack, this._redoStack);
+  }
+
+  _redo() {
+    this._restore(this._redoStack, this._undoStack);
+  }
+
+  _restore(fromStack, toStack) {
+    if (!fromStack.length) {
+      return;
+    }
+
+    toStack.push({hues: this._getState(), selectedIndex: this._selectedIndex});
+    let {hues, selectedIndex} = fromStack.pop();
+    this._hues = JSON.parse(hues);
+    this._selectedIndex = selectedIndex;
+    this._render();
+  }
+
+  _selectHueByName(hueName) {
+    let index = this._hues.findIndex(({name}) => name === hueName);
+    if (index >= 0) {
+      this._selectedIndex = index;
+      this._render();
+    }
+  }
+
+  _render() {
+    $('body').toggleClass(this.CLASS_NAMES.isDirty, this._isDirty());
+    this._toolbarButtons.undo.prop('disabled', !this._undoStack.length);
+    this._toolbarButtons.redo.prop('disabled', !this._redoStack.length);
+
+    this._hueListButtons.delete.prop('disabled', this._selectedIndex < 0);
+    this._hueListButtons.up.prop('disabled', this._selectedIndex <= 0);
+    this._hueListButtons.down.prop('disabled',
+        this._selectedIndex < 0 || this._selectedIndex >= this._hues.length - 1);
+
+    this._buildHueList();
+    this._buildDetail();
+
+    let {problems} = validateHues(this._toConfigHues(), {file: '', path: []});
+    this.$problems.text(problems.map(({path, message}) => `${path}: ${message}`).join('\n'));
+    this._toolbarButtons.save.prop('disabled', !this._isDirty() || !!problems.length);
+  }
+
+  _buildHueList() {
+    this.$hueList.empty();
+    this._hues.forEach(({name, hue}, index) => {
+      let $item = $('<div>')
+          .addClass(this.CLASS_NAMES.hueListItem)
+          .toggleClass(this.CLASS_NAMES.isSelected, index === this._selectedIndex)
+          .on('click', () => {
+            this._selectedIndex = index;
+            this._render();
+          })
+          .appendTo(this.$hueList);
+
+      $('<div>')
+          .addClass(this.CLASS_NAMES.hueListSwatch)
+          .css('background-color', getKeyColor(hue))
+          .appendTo($item);
+
+      $('<span>')
+          .text(name)
+          .appendTo($item);
+    });
+  }
+
+  _buildDetail() {
+    this.$detail.empty();
+
+    let selected = this._hues[this._selectedIndex];
+    if (!selected) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.editorEmpty)
+          .text('Add a hue to save your own colors alongside the built-in palettes.')
+          .appendTo(this.$detail);
+      return;
+    }
+
+    let {hue} = selected;
+
+    let $nameField = this._buildField('Name').appendTo(this.$detail);
+    this._buildTextInput(selected.name, value => this._renameHue(value))
+        .addClass(this.CLASS_NAMES.hueNameInput)
+        .appendTo($nameField);
+
+    for (let [key, label] of [['_selectorLight', 'Sidebar color'], ['_selectorDark', 'Dark mode']]) {
+      let $field = this._buildField(label).appendTo(this.$detail);
+      this._buildHexInputs(hue[key], hex => this._change(() => {
+        if (hex) {
+          hue[key] = hex;
+        } else {
+          // falls back to the hue's 500 or 300 color
+          delete hue[key];
+        }
+      }), {placeholder: 'Auto'}).forEach($input => $input.appendTo($field));
+    }
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.sectionHeading)
+        .text('Colors')
+        .appendTo(this.$detail);
+
+    for (let valueName of Object.keys(hue).filter(key => !key.startsWith('_'))) {
+      this._buildColorRow(valueName, hue[valueName], {
+        rename: newName => this._change(() => {
+          if (newName && !(newName in hue)) {
+            selected.hue = renameKey(hue, valueName, newName);
+          }
+        }),
+        remove: () => this._change(() => delete hue[valueName]),
+      }).appendTo(this.$detail);
+    }
+
+    this._buildLinkButton('Add color', () => this._change(() => {
+      let valueName = uniqueName('new', name => name in hue);
+      selected.hue = insertBeforeUnderscoreKeys(hue, valueName, {hex: NEW_COLOR_HEX});
+    })).appendTo(this.$detail);
+
+    (hue._groups || []).forEach((group, groupIndex) =>
+        this._buildGroup(hue, group, groupIndex));
+
+    this._buildLinkButton('Add group', () => this._change(() => {
+      hue._groups = hue._groups || [];
+      hue._groups.push({title: 'Group', colors: [{name: 'new', hex: NEW_COLOR_HEX}]});
+    })).appendTo(this.$detail);
+  }
+
+  _buildGroup(hue, group, groupIndex) {
+    let groups = hue._groups;
+    let $header = $('<div>')
+        .addClass(this.CLASS_NAMES.groupHeader)
+        .appendTo(this.$detail);
+
+    this._buildTextInput(group.title || '', value => this._change(() => {
+      if (value) {
+        group.title = value;
+      } else {
+        delete group.title;
+      }
+    }), {placeholder: 'Untitled group'})
+        .addClass(this.CLASS_NAMES.groupTitleInput)
+        .appendTo($header);
+
+    let buttons = [
+      {label: '↑', title: 'Move group up', enabled: groupIndex > 0,
+          click: () => this._change(() => moveItem(groups, groupIndex, -1))},
+      {label: '↓', title: 'Move group down', enabled: groupIndex < groups.length - 1,
+          click: () => this._change(() => moveItem(groups, groupIndex, 1))},
+      {label: '×', title: 'Delete group', enabled: true, click: () => this._change(() => {
+        groups.splice(groupIndex, 1);
+        if (!groups.length) {
+          delete hue._groups;
+        }
+      })},
+    ];
+    for (let {label, title, enabled, click} of buttons) {
+      $('<button>')
+          .addClass(this.CLASS_NAMES.editorButton)
+          .text(label)
+          .attr('title', title)
+          .prop('disabled', !enabled)
+          .on('click', click)
+          .appendTo($header);
+    }
+
+    group.colors = group.colors || [];
+    group.colors.forEach((color, colorIndex) => {
+      this._buildColorRow(color.name, color, {
+        rename: newName => this._change(() => {
+          if (newName && !group.colors.some(({name}) => name === newName)) {
+            color.name = newName;
+          }
+        }),
+        remove: () => this._change(() => group.colors.splice(colorIndex, 1)),
+      }).appendTo(this.$detail);
+    });
+
+    this._buildLinkButton('Add color', () => this._change(() => {
+      let name = uniqueName('new', name => group.colors.some(color => color.name === name));
+      group.colors.push({name, hex: NEW_COLOR_HEX});
+    })).appendTo(this.$detail);
+  }
+
+  _buildColorRow(name, color, {rename, remove}) {
+    let $row = $('<div>')
+        .addClass(this.CLASS_NAMES.colorRow);
+
+    this._buildTextInput(name, value => rename(value))
+        .addClass(this.CLASS_NAMES.colorNameInput)
+        .appendTo($row);
+
+    this._buildHexInputs(color.hex, hex => this._change(() => color.hex = hex || color.hex))
+        .forEach($input => $input.appendTo($row));
+
+    $('<button>')
+        .addClass(this.CLASS_NAMES.editorButton)
+        .text('×')
+        .attr('title', 'Delete color')
+        .on('click', () => remove())
+        .appendTo($row);
+
+    return $row;
+  }
+
+  // a color picker and a text field for the same hex value, committed on change
+  _buildHexInputs(hex, commit, {placeholder = ''} = {}) {
+    let $picker = $('<input type="color">')
+        .addClass(this.CLASS_NAMES.colorPicker)
+        .val(tinycolor(hex).isValid() ? tinycolor(hex).toHexString() : '#000000')
+        .on('input', event => $hexInput.val(event.target.value.toUpperCase()))
+        .on('change', event => commit(event.target.value.toUpperCase()));
+
+    let $hexInput = this._buildTextInput(hex || '', value => commit(value), {placeholder})
+        .addClass(this.CLASS_NAMES.colorHexInput)
+        .on('input', event => {
+          let color = tinycolor(event.target.value);
+          if (color.isValid()) {
+            $picker.val(color.toHexString());
+          }
+        });
+
+    return [$picker, $hexInput];
+  }
+
+  _buildTextInput(value, commit, {placeholder = ''} = {}) {
+    return $('<input type="text">')
+        .attr('spellcheck', 'false')
+        .attr('placeholder', placeholder)
+        .val(value)
+        .data('committed', value)
+        .on('change', event => commit(event.target.value.trim()))
+        .on('keydown', event => {
+          if (event.key === 'Enter') {
+            event.target.blur();
+          } else if (event.key === 'Escape') {
+            $(event.target).val(value).blur();
+          }
+        });
+  }
+
+  _buildField(label) {
+    let $field = $('<div>')
+        .addClass(this.CLASS_NAMES.field);
+
+    $('<span>')
+        .addClass(this.CLASS_NAMES.fieldLabel)
+        .text(label)
+        .appendTo($field);
+
+    return $field;
+  }
+
+  _buildLinkButton(label, click) {
+    return $('<div>')
+        .addClass(this.CLASS_NAMES.linkButton)
+        .text(label)
+        .on('click', click);
+  }
+
+  _addHue() {
+    this._change(() => {
+      let name = uniqueName('new-hue', name => this._hues.some(hue => hue.name === name));
+      this._hues.splice(this._selectedIndex + 1, 0, {
+        id: this._nextHueId++,
+        name,
+        hue: {'500': {hex: NEW_COLOR_HEX}},
+      });
+      this._selectedIndex++;
+    });
+
+    this.$detail.find(`.${this.CLASS_NAMES.hueNameInput}`).select();
+  }
+
+  _deleteHue() {
+    if (this._selectedIndex < 0) {
+      return;
+    }
+
+    this._change(() => {
+      this._hues.splice(this._selectedIndex, 1);
+      this._selectedIndex = Math.min(this._selectedIndex, this._hues.length - 1);
+    });
+  }
+
+  _moveHue(delta) {
+    let index = this._selectedIndex;
+    if (index < 0 || index + delta < 0 || index + delta >= this._hues.length) {
+      return;
+    }
+
+    this._change(() => {
+      moveItem(this._hues, index, delta);
+      this._selectedIndex = index + delta;
+    });
+  }
+
+  _renameHue(newName) {
+    let selected = this._hues[this._selectedIndex];
+
+    // hue names end up in CSS class names
+    newName = newName.toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-|-$/g, '');
+    if (!newName || this._hues.some(({name}) => name === newName)) {
+      this._render();
+      return;
+    }
+
+    this._change(() => selected.name = newName);
+  }
+
+  _toConfigHues() {
+    let hues = {};
+    for (let {name, hue} of this._hues) {
+      hues[name] = hue;
+    }
+    return hues;
+  }
+
+  _save() {
+    // commit whatever's being typed
+    $(document.activeElement).filter('input').trigger('change');
+    if (!this._isDirty() || this._toolbarButtons.save.prop('disabled')) {
+      return false;
+    }
+
+    let extraColors = this._toConfigHues();
+    let savedHues = JSON.parse(this._savedState);
+    try {
+      updateConfig(this._homeDir, config => {
+        if (JSON.stringify(config.extraColors || {}) !== this._savedExtraColors
+            && !this._confirmOverwrite()) {
+          throw new Error('cancelled');
+        }
+
+        if (Object.keys(extraColors).length) {
+          config.extraColors = extraColors;
+        } else {
+          delete config.extraColors;
+        }
+      }, {profile: this._profile});
+    } catch (e) {
+      if (e.message !== 'cancelled') {
+        electron.remote.dialog.showErrorBox('Couldn\'t save the palette', e.message);
+      }
+      return false;
+    }
+
+    this._savedState = this._getState();
+    this._savedExtraColors = JSON.stringify(extraColors);
+    this._render();
+
+    // let the app keep showing renamed hues
+    let renamedHues = {};
+    for (let {id, name} of savedHues) {
+      let hue = this._hues.find(hue => hue.id === id);
+      if (hue && hue.name !== name) {
+        renamedHues[name] = hue.name;
+      }
+    }
+    electron.ipcRenderer.send('config-updated', {renamedHues});
+    return true;
+  }
+
+  _confirmOverwrite() {
+    return electron.remote.dialog.showMessageBoxSync(electron.remote.getCurrentWindow(), {
+      type: 'warning',
+      buttons: ['Overwrite', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: 'The saved colors were changed outside the editor. Overwrite them?',
+    }) === 0;
+  }
+
+  // returning anything from onbeforeunload keeps the window open
+  _confirmClose() {
+    if (!this._isDirty()) {
+      return undefined;
+    }
+
+    let response = electron.remote.dialog.showMessageBoxSync(electron.remote.getCurrentWindow(), {
+      type: 'question',
+      buttons: ['Save', 'Cancel', 'Don\'t Save'],
+      defaultId: 0,
+      cancelId: 1,
+      message: 'Save changes to your colors?',
+    });
+    if (response === 1 || (response === 0 && !this._save())) {
+      return false;
+    }
+
+    return undefined;
+  }
+} // class PaletteEditor
+
+
+// the color the app's sidebar shows for a hue
+function getKeyColor(hue) {
+  let firstColor = Object.keys(hue)
+      .filter(key => !key.startsWith('_'))
+      .map(key => hue[key])
+      .concat(...(hue._groups || []).map(group => group.colors || []))[0];
+  return hue._selectorLight || (hue['500'] || firstColor || {}).hex || 'transparent';
+}
+
+
+// a copy of obj with a key renamed, in the same position
+function renameKey(obj, oldKey, newKey) {
+  let renamed = {};
+  for (let key of Object.keys(obj)) {
+    renamed[(key === oldKey) ? newKey : key] = obj[key];
+  }
+  return renamed;
+}
+
+
+// a copy of a hue with a color added after its other colors
+function insertBeforeUnderscoreKeys(hue, key, value) {
+  let inserted = {};
+  let keys = Object.keys(hue);
+  keys.filter(k => !k.startsWith('_')).forEach(k => inserted[k] = hue[k]);
+  inserted[key] = value;
+  keys.filter(k => k.startsWith('_')).forEach(k => inserted[k] = hue[k]);
+  return inserted;
+}
+
+
+function moveItem(list, index, delta) {
+  let [item] = list.splice(index, 1);
+  list.splice(index + delta, 0, item);
+}
+
+
+function uniqueName(baseName, isTaken) {
+  let name = baseName;
+  for (let i = 2; isTaken(name); i++) {
+    name = `${baseName}-${i}`;
+  }
+  return name;
+}
+
+
+new PaletteEditor();
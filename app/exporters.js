@@ -0,0 +1,403 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const tinycolor = require('tinycolor2');
+
+const {transformName} = require('./formats.js');
+const {renderDesignTokens} = require('./tokens.js');
+
+// Identifiers are built from the hue and value names with the same transforms
+// as copy formats (see transformName), which can be overridden per target with
+// "exportTransforms" in the config file, e.g. {"android": "_X"}
+const EXPORT_TARGETS = [
+  {
+    id: 'css',
+    title: 'CSS Custom Properties',
+    fileName: 'colors.css',
+    transform: '-x',
+    render: renderCss,
+  },
+  {
+    id: 'scss',
+    title: 'SCSS Map',
+    fileName: '_colors.scss',
+    transform: '-x',
+    render: renderScss,
+  },
+  {
+    id: 'android',
+    title: 'Android colors.xml',
+    fileName: 'colors.xml',
+    transform: '_x',
+    render: renderAndroid,
+  },
+  {
+    id: 'swift',
+    title: 'Swift UIColor and Color',
+    fileName: 'Colors.swift',
+    transform: 'dXx',
+    render: renderSwift,
+  },
+  {
+    id: 'compose',
+    title: 'Jetpack Compose',
+    fileName: 'Colors.kt',
+    transform: 'dXx',
+    render: renderCompose,
+  },
+  {
+    id: 'flutter',
+    title: 'Flutter MaterialColor',
+    fileName: 'colors.dart',
+    transform: 'dXx',
+    render: renderFlutter,
+  },
+  {
+    id: 'tailwind',
+    title: 'Tailwind theme.colors',
+    fileName: 'tailwind.colors.js',
+    transform: '-x',
+    render: renderTailwind,
+  },
+  {
+    id: 'dtcg',
+    title: 'Design Tokens (DTCG)',
+    fileName: 'colors.tokens.json',
+    transform: null, // keep names as they are
+    render: (hues, transform) => renderDesignTokens(hues, name => transformName(name, transform)),
+  },
+];
+
+const SWATCH_VALUE_NAMES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+const ACCENT_VALUE_NAMES = ['a100', 'a200', 'a400', 'a700'];
+
+
+/**
+ * Flattens hues shaped like colors.js into export hues:
+ * [{hueName, values: [{valueName, groupName, hex, alpha, token, aliasOf, note}]}],
+ * where token and aliasOf are set for colors loaded from design tokens. Pass
+ * a groupName to only include that group's colors.
+ */
+function getExportHues(colors, hueNames, {groupName} = {}) {
+  return hueNames
+      .map(hueName => {
+        let hue = colors[hueName];
+        let values = [];
+        if (!groupName) {
+          for (let valueName of Object.keys(hue).filter(k => !k.startsWith('_'))) {
+            let {hex, alpha, token, aliasOf, note} = hue[valueName];
+            values.push({valueName, groupName: null, hex, alpha, token, aliasOf, note});
+          }
+        }
+
+        for (let group of hue._groups || []) {
+          if (groupName && group.title !== groupName) {
+            continue;
+          }
+
+          for (let {name, hex, alpha, token, aliasOf, note} of group.colors || []) {
+            values.push({valueName: name, groupName: group.title || null, hex, alpha, token, aliasOf, note});
+          }
+        }
+
+        return {hueName, values};
+      })
+      .filter(({values}) => values.length);
+}
+
+
+/**
+ * Renders export hues (see getExportHues) as the given target's source code.
+ */
+function exportColors(targetId, hues, {transform} = {}) {
+  let target = EXPORT_TARGETS.find(({id}) => id === targetId);
+  if (!target) {
+    throw new Error(`Unknown export target ${targetId}.`);
+  }
+
+  return target.render(hues, transform || target.transform);
+}
+
+
+/**
+ * Returns the name a color gets in Android colors.xml exports, e.g. 'red_500'
+ * for {valueName: '500'} in the 'red' hue.
+ */
+function getAndroidColorName(hueName, value, {transform} = {}) {
+  let target = EXPORT_TARGETS.find(({id}) => id === 'android');
+  return codeIdentifier(transformName(qualifiedName(hueName, value), transform || target.transform));
+}
+
+
+function renderCss(hues, transform) {
+  let names = new UniqueNames();
+  let lines = [':root {'];
+  for (let {hueName, values} of hues) {
+    for (let value of values) {
+      let name = names.get(cssIdentifier(transformName(qualifiedName(hueName, value), transform)));
+      lines.push(`  --${name}: ${cssColor(value)};`);
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+
+function renderScss(hues, transform) {
+  let lines = ['$colors: ('];
+  for (let {hueName, values} of hues) {
+    let names = new UniqueNames();
+    lines.push(`  '${cssIdentifier(transformName(hueName, transform))}': (`);
+    for (let value of values) {
+      let name = names.get(cssIdentifier(transformName(valueKey(value), transform)));
+      lines.push(`    '${name}': ${cssColor(value)},`);
+    }
+    lines.push('  ),');
+  }
+
+  lines.push(');');
+  return lines.join('\n') + '\n';
+}
+
+
+function renderAndroid(hues, transform) {
+  let names = new UniqueNames();
+  let lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<resources>',
+  ];
+  for (let {hueName, values} of hues) {
+    for (let value of values) {
+      let name = names.get(getAndroidColorName(hueName, value, {transform}));
+      lines.push(`    <color name="${name}">#${argbHex(value)}</color>`);
+    }
+  }
+
+  lines.push('</resources>');
+  return lines.join('\n') + '\n';
+}
+
+
+function renderSwift(hues, transform) {
+  let names = new UniqueNames();
+  let entries = [];
+  for (let {hueName, values} of hues) {
+    for (let value of values) {
+      let name = names.get(lowerFirst(
+          codeIdentifier(transformName(qualifiedName(hueName, value), transform))));
+      entries.push({name, rgb: tinycolor(value.hex).toRgb(), alpha: alphaOf(value)});
+    }
+  }
+
+  let component = c => (c / 255).toFixed(3);
+  return [
+    'import SwiftUI',
+    'import UIKit',
+    '',
+    'extension UIColor {',
+    ...entries.map(({name, rgb, alpha}) => `    static let ${name} = UIColor(red: ${
+        component(rgb.r)}, green: ${component(rgb.g)}, blue: ${component(rgb.b)}, alpha: ${
+        alpha.toFixed(3)})`),
+    '}',
+    '',
+    'extension Color {',
+    ...entries.map(({name}) => `    static let ${name} = Color(UIColor.${name})`),
+    '}',
+  ].join('\n') + '\n';
+}
+
+
+function renderCompose(hues, transform) {
+  let names = new UniqueNames();
+  let lines = [
+    'import androidx.compose.ui.graphics.Color',
+    '',
+  ];
+  for (let {hueName, values} of hues) {
+    for (let value of values) {
+      let name = names.get(upperFirst(
+          codeIdentifier(transformName(qualifiedName(hueName, value), transform))));
+      lines.push(`val ${name} = Color(0x${argbHex(value)})`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+
+function renderFlutter(hues, transform) {
+  let names = new UniqueNames();
+  let lines = [
+    'import \'package:flutter/material.dart\';',
+    '',
+    'class AppColors {',
+    '  AppColors._();',
+  ];
+
+  let swatch = (type, name, primary, values) => {
+    lines.push('');
+    lines.push(`  static const ${type} ${name} = ${type}(`);
+    lines.push(`    0x${argbHex(primary)},`);
+    lines.push('    <int, Color>{');
+    for (let value of values) {
+      lines.push(`      ${value.valueName.replace(/^a/, '')}: Color(0x${argbHex(value)}),`);
+    }
+    lines.push('    },');
+    lines.push('  );');
+  };
+
+  for (let {hueName, values} of hues) {
+    let hueIdentifier = lowerFirst(codeIdentifier(transformName(hueName, transform)));
+    let ungrouped = values.filter(({groupName}) => !groupName);
+    let swatchValues = ungrouped.filter(({valueName}) => SWATCH_VALUE_NAMES.includes(valueName));
+    let accentValues = ungrouped.filter(({valueName}) => ACCENT_VALUE_NAMES.includes(valueName));
+
+    // hues with a full 50-900 ramp become MaterialColor swatches, like Colors.red
+    let primary = swatchValues.find(({valueName}) => valueName === '500');
+    if (swatchValues.length === SWATCH_VALUE_NAMES.length && primary) {
+      swatch('MaterialColor', names.get(hueIdentifier), primary, swatchValues);
+    } else {
+      swatchValues = [];
+    }
+
+    let accentPrimary = accentValues.find(({valueName}) => valueName === 'a200');
+    if (accentValues.length === ACCENT_VALUE_NAMES.length && accentPrimary) {
+      swatch('MaterialAccentColor', names.get(`${hueIdentifier}Accent`), accentPrimary,
+          accentValues);
+    } else {
+      accentValues = [];
+    }
+
+    let others = values.filter(value =>
+        !swatchValues.includes(value) && !accentValues.includes(value));
+    if (others.length) {
+      lines.push('');
+    }
+
+    for (let value of others) {
+      let name = names.get(lowerFirst(
+          codeIdentifier(transformName(qualifiedName(hueName, value), transform))));
+      lines.push(`  static const Color ${name} = Color(0x${argbHex(value)});`);
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+
+function renderTailwind(hues, transform) {
+  let key = name => name.match(/^([a-zA-Z_$][\w$]*|[1-9]\d*)$/) ? name : `'${name}'`;
+  let lines = [
+    'module.exports = {',
+    '  theme: {',
+    '    colors: {',
+  ];
+  for (let {hueName, values} of hues) {
+    let names = new UniqueNames();
+    lines.push(`      ${key(cssIdentifier(transformName(hueName, transform)))}: {`);
+    for (let value of values) {
+      let name = names.get(cssIdentifier(transformName(valueKey(value), transform)));
+      lines.push(`        ${key(name)}: '${cssColor(value)}',`);
+    }
+    lines.push('      },');
+  }
+
+  lines.push('    },');
+  lines.push('  },');
+  lines.push('};');
+  return lines.join('\n') + '\n';
+}
+
+
+// the value name as copy formats see it, including its group
+function valueKey({groupName, valueName}) {
+  return groupName ? `${groupName}-${valueName}` : valueName;
+}
+
+
+function qualifiedName(hueName, value) {
+  return `${hueName}-${valueKey(value)}`;
+}
+
+
+// for custom properties and map keys, which may start with a digit
+function cssIdentifier(name) {
+  return name.replace(/[^\w-]+/g, '');
+}
+
+
+function codeIdentifier(name) {
+  name = name.replace(/\W+/g, '');
+  return name.match(/^\d/) ? `_${name}` : name;
+}
+
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.substring(1);
+}
+
+
+function upperFirst(name) {
+  return name.charAt(0).toUpperCase() + name.substring(1);
+}
+
+
+function alphaOf({alpha}) {
+  return (alpha === undefined || alpha === null) ? 1 : alpha;
+}
+
+
+function cssColor(value) {
+  let color = tinycolor(value.hex).setAlpha(alphaOf(value));
+  return (color.getAlpha() < 1) ? color.toRgbString() : color.toHexString().toUpperCase();
+}
+
+
+// AARRGGBB, as used by Android and Flutter
+function argbHex(value) {
+  let color = tinycolor(value.hex).setAlpha(alphaOf(value));
+  return color.toHex8().replace(/^(.{6})(.{2})$/, '$2$1').toUpperCase();
+}
+
+
+// Hands out identifiers, adding a suffix to ones that were already used
+class UniqueNames {
+  constructor() {
+    this._used = new Set();
+  }
+
+  get(name) {
+    let uniqueName = name;
+    for (let i = 2; this._used.has(uniqueName); i++) {
+      uniqueName = `${name}${name.match(/[-_]/) ? name.match(/[-_]/)[0] : ''}${i}`;
+    }
+
+    this._used.add(uniqueName);
+    return uniqueName;
+  }
+}
+
+
+module.exports = {
+  EXPORT_TARGETS,
+  getExportHues,
+  getAndroidColorName,
+  exportColors,
+};
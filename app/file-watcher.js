@@ -0,0 +1,73 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// editors and sync tools save in bursts, e.g. a temp file and then a rename
+const DEFAULT_DELAY_MS = 300;
+
+
+/**
+ * Calls onChange, once per burst of changes, when any of the given files is
+ * created, changed, replaced or deleted. Their directories are watched rather
+ * than the files, since files that are replaced (like the app's own atomic
+ * config writes, or git checkouts) would otherwise stop being watched. Returns
+ * a function that stops watching.
+ */
+function watchFiles(filePaths, onChange, {delayMs = DEFAULT_DELAY_MS} = {}) {
+  let fileNamesByDir = new Map();
+  for (let filePath of filePaths) {
+    let dir = path.dirname(filePath);
+    if (!fileNamesByDir.has(dir)) {
+      fileNamesByDir.set(dir, new Set());
+    }
+    fileNamesByDir.get(dir).add(path.basename(filePath));
+  }
+
+  let timeout = null;
+  let watchers = [];
+  for (let [dir, fileNames] of fileNamesByDir) {
+    try {
+      let watcher = fs.watch(dir, (eventType, fileName) => {
+        // the file name isn't given on some platforms
+        if (fileName && !fileNames.has(fileName.toString())) {
+          return;
+        }
+
+        clearTimeout(timeout);
+        timeout = setTimeout(onChange, delayMs);
+      });
+      watcher.on('error', e => console.error(`Stopped watching ${dir}: ${e.message}`));
+      watchers.push(watcher);
+    } catch (e) {
+      // e.g. a catalog in a directory that doesn't exist (yet)
+      console.error(`Couldn't watch ${dir}: ${e.message}`);
+    }
+  }
+
+  return () => {
+    clearTimeout(timeout);
+    watchers.forEach(watcher => watcher.close());
+  };
+}
+
+
+module.exports = {
+  watchFiles,
+};
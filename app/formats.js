@@ -0,0 +1,255 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const tinycolor = require('tinycolor2');
+
+const DEFAULT_COPY_FORMAT = {
+  format: '$HUE $VALUE',
+  transform: 'Xx',
+};
+
+// longer names first, so $HEX_NOHASH isn't read as $HEX
+const PLACEHOLDERS = [
+  'ALPHA_DECIMAL', 'HEX_NOHASH', 'HUE', 'VALUE', 'GROUP', 'ALPHA', 'HEX', 'ARGB',
+  'R', 'G', 'B', 'H', 'S', 'L',
+];
+const NAME_PLACEHOLDERS = ['HUE', 'VALUE', 'GROUP'];
+const CONDITIONS = ['ALPHA', 'GROUP'];
+
+// ${?NAME}, ${!NAME}, ${/NAME}, ${NAME|transform}, $NAME or $X (not followed by a letter)
+const TEMPLATE_REGEX = new RegExp(
+    '\\$\\{([?!/]?)([A-Z_]+)(?:\\|([^}]*))?\\}'
+    + `|\\$(${PLACEHOLDERS.filter(name => name.length > 1).join('|')})`
+    + `|\\$(${PLACEHOLDERS.filter(name => name.length == 1).join('|')})(?![a-zA-Z])`,
+    'g');
+
+
+/**
+ * Returns whether the given copy format transform (e.g. '_X', '-x', 'dXx') is
+ * valid: an optional replacer character followed by x, X or Xx.
+ */
+function isValidTransform(transform) {
+  return typeof transform === 'string' && !!transform.trim().match(/^[^xX]?(x|X|Xx)$/);
+}
+
+
+/**
+ * Applies a copy format transform to a hue or value name, e.g. 'light-blue'
+ * becomes 'LIGHT_BLUE' with '_X' or 'LightBlue' with 'dXx'. Names are returned
+ * unchanged if the transform isn't valid.
+ */
+function transformName(name, transform) {
+  if (!isValidTransform(transform)) {
+    return name;
+  }
+
+  transform = transform.trim();
+
+  // if transform has replacer character (eg: '-x', '_x')
+  let replacer;
+  let textTransform;
+  if (!transform.toLowerCase().startsWith('x')) {
+    replacer = transform[0];
+    textTransform = transform.slice(1);
+  } else {
+    textTransform = transform;
+  }
+
+  // text transform, lower, upper or capitalize
+  let transformers = [];
+  if (textTransform === 'x') {
+    transformers.push(s => s.toLowerCase());
+  } else if (textTransform === 'X') {
+    transformers.push(s => s.toUpperCase());
+  } else if (textTransform === 'Xx') {
+    transformers.push(s => sentenceCase(s));
+  }
+
+  // Replacer
+  // d - delete spaces between the hue name (eg: LightBlue)
+  // * - replace spaces between hue name with any character (eg: LIGHT_BLUE)
+  // if no replacer found add a space between hue name if any (eg: Light Blue)
+  replacer = replacer
+      ? (replacer === 'd'
+          ? ''
+          : replacer)
+      : ' ';
+
+  transformers.push(s => s.replace(/[- ]/g, replacer));
+
+  return transformers.reduce((s, t) => t(s), name);
+}
+
+
+/**
+ * Returns the copy formats from the config file, or the default one.
+ */
+function getCopyFormats(config) {
+  return (config.copyFormats && config.copyFormats.length)
+      ? config.copyFormats
+      : [DEFAULT_COPY_FORMAT];
+}
+
+
+/**
+ * Returns the copy format used when clicking a color's name: the one marked
+ * "default": true, or the first one.
+ */
+function getDefaultCopyFormat(config) {
+  let copyFormats = getCopyFormats(config);
+  return copyFormats.find(format => format.default) || copyFormats[0];
+}
+
+
+/**
+ * Renders a copy format (e.g. {format: 'MATERIAL_COLOR_$HUE_$VALUE',
+ * transform: '_X'}) for a color, given its hueName, valueName, hex and
+ * optionally groupName and alpha. See parseCopyFormat for the template syntax.
+ */
+function renderCopyFormat(format, {hueName, groupName, valueName, hex, alpha}) {
+  let color = tinycolor(hex || '');
+  let hasAlpha = (alpha !== undefined && alpha !== null && alpha < 1);
+  alpha = hasAlpha ? alpha : 1;
+
+  let {r, g, b} = color.toRgb();
+  let {h, s, l} = color.toHsl();
+  let values = {
+    HUE: hueName || '',
+    VALUE: (groupName ? groupName + '-' : '') + (valueName || ''),
+    GROUP: groupName || '',
+    ALPHA: (alpha * 100).toFixed(0),
+    ALPHA_DECIMAL: String(Math.round(alpha * 100) / 100),
+    HEX: color.isValid() ? color.toHexString().toUpperCase() : '',
+    HEX_NOHASH: color.isValid() ? color.toHex().toUpperCase() : '',
+    ARGB: color.isValid() ? color.setAlpha(alpha).toHex8String().replace(/^#(.{6})(.{2})$/, '$2$1').toUpperCase() : '',
+    R: color.isValid() ? String(r) : '',
+    G: color.isValid() ? String(g) : '',
+    B: color.isValid() ? String(b) : '',
+    H: color.isValid() ? String(Math.round(h)) : '',
+    S: color.isValid() ? String(Math.round(s * 100)) : '',
+    L: color.isValid() ? String(Math.round(l * 100)) : '',
+  };
+  let conditions = {ALPHA: hasAlpha, GROUP: !!groupName};
+
+  let render = parts => parts.map(part => {
+    if (part.text !== undefined) {
+      return part.text;
+    } else if (part.condition) {
+      return (conditions[part.condition] === !part.negate) ? render(part.parts) : '';
+    }
+
+    // the format's transform applies to names, unless the placeholder has its own
+    let transform = part.transform
+        || (NAME_PLACEHOLDERS.includes(part.placeholder) ? format.transform : null);
+    return transform ? transformName(values[part.placeholder], transform) : values[part.placeholder];
+  }).join('');
+
+  return render(parseCopyFormat(format.format).parts);
+}
+
+
+/**
+ * Parses a copy format template into parts, returning {parts, problems}, where
+ * problems are messages about parts that couldn't be understood (which are kept
+ * as text). Templates can contain:
+ *
+ * - placeholders: $HUE, $VALUE (prefixed with the group name for colors in a
+ *   group), $GROUP, $ALPHA (0-100), $ALPHA_DECIMAL (0-1), $HEX (#RRGGBB),
+ *   $HEX_NOHASH, $ARGB (AARRGGBB), $R, $G, $B (0-255), $H (0-360), $S and $L
+ *   (0-100). Single letter placeholders can't be followed by a letter.
+ * - placeholders with their own transform, like ${HUE|_x} or ${HEX|x}.
+ * - conditional sections, ${?ALPHA}...${/ALPHA} for colors with alpha and
+ *   ${?GROUP}...${/GROUP} for colors in a group; ${!ALPHA} and ${!GROUP}
+ *   render when they don't.
+ */
+function parseCopyFormat(template) {
+  let root = {parts: []};
+  let stack = [root];
+  let problems = [];
+  let addText = text => {
+    let parts = stack[stack.length - 1].parts;
+    if (parts.length && parts[parts.length - 1].text !== undefined) {
+      parts[parts.length - 1].text += text;
+    } else {
+      parts.push({text});
+    }
+  };
+
+  let lastIndex = 0;
+  let m;
+  TEMPLATE_REGEX.lastIndex = 0;
+  while ((m = TEMPLATE_REGEX.exec(template))) {
+    addText(template.substring(lastIndex, m.index));
+    lastIndex = TEMPLATE_REGEX.lastIndex;
+
+    let [match, marker, name, transform, longName, letterName] = m;
+    let bareName = longName || letterName;
+    let parts = stack[stack.length - 1].parts;
+    if (bareName) {
+      parts.push({placeholder: bareName});
+    } else if (marker === '?' || marker === '!') {
+      if (!CONDITIONS.includes(name)) {
+        problems.push(`unknown condition "${match}"`);
+        addText(match);
+        continue;
+      }
+
+      let section = {condition: name, negate: marker === '!', parts: []};
+      parts.push(section);
+      stack.push(section);
+    } else if (marker === '/') {
+      if (stack.length === 1 || stack[stack.length - 1].condition !== name) {
+        problems.push(`"${match}" doesn't close a section`);
+        addText(match);
+        continue;
+      }
+
+      stack.pop();
+    } else if (!PLACEHOLDERS.includes(name)) {
+      problems.push(`unknown placeholder "${match}"`);
+      addText(match);
+    } else if (transform !== undefined && !isValidTransform(transform)) {
+      problems.push(`unknown transform "${transform}" in "${match}"`);
+      parts.push({placeholder: name});
+    } else {
+      parts.push({placeholder: name, transform: transform && transform.trim()});
+    }
+  }
+
+  addText(template.substring(lastIndex));
+  stack.slice(1).forEach(({condition, negate}) =>
+      problems.push(`"\${${negate ? '!' : '?'}${condition}}" is never closed`));
+
+  return {parts: root.parts, problems};
+}
+
+
+function sentenceCase(str) {
+  return str.replace(/(?:^|(\s|\-))\S/g, (s) => { return s.toUpperCase(); });
+}
+
+
+module.exports = {
+  isValidTransform,
+  transformName,
+  getCopyFormats,
+  getDefaultCopyFormat,
+  renderCopyFormat,
+  parseCopyFormat,
+  sentenceCase,
+};
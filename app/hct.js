@@ -0,0 +1,441 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// HCT (hue, chroma, tone) is the color space behind Material 3 tonal palettes:
+// hue and chroma come from CAM16, tone is CIE L*. This is a port of the
+// reference implementation in https://github.com/material-foundation/material-color-utilities
+
+const SRGB_TO_XYZ = [
+  [0.41233895, 0.35762064, 0.18051042],
+  [0.2126, 0.7152, 0.0722],
+  [0.01932141, 0.11916382, 0.95034478],
+];
+
+const XYZ_TO_SRGB = [
+  [3.2413774792388685, -1.5376652402851851, -0.49885366846268053],
+  [-0.9691452513005321, 1.8758853451067872, 0.04156585616912061],
+  [0.05562093689691305, -0.20395524564742123, 1.0571799111220335],
+];
+
+const WHITE_POINT_D65 = [95.047, 100.0, 108.883];
+
+// search tolerances when solving for a color with a given hue, chroma and tone
+const CHROMA_SEARCH_ENDPOINT = 0.4;
+const LIGHTNESS_SEARCH_ENDPOINT = 0.01;
+const DE_MAX = 1.0;
+const DL_MAX = 0.2;
+
+
+function clamp(min, max, value) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function sanitizeDegrees(degrees) {
+  degrees = degrees % 360;
+  return (degrees < 0) ? degrees + 360 : degrees;
+}
+
+function lerp(start, stop, amount) {
+  return (1 - amount) * start + amount * stop;
+}
+
+function argbFromRgb(red, green, blue) {
+  return (255 << 24 | (red & 255) << 16 | (green & 255) << 8 | blue & 255) >>> 0;
+}
+
+function argbFromHex(hex) {
+  hex = hex.replace(/^#/, '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  return (0xff000000 | parseInt(hex.substring(0, 6), 16)) >>> 0;
+}
+
+function hexFromArgb(argb) {
+  return '#' + (argb & 0xffffff).toString(16).padStart(6, '0').toUpperCase();
+}
+
+// sRGB component (0-255) to linear RGB (0-100)
+function linearized(rgbComponent) {
+  let normalized = rgbComponent / 255;
+  return (normalized <= 0.040449936)
+      ? normalized / 12.92 * 100
+      : Math.pow((normalized + 0.055) / 1.055, 2.4) * 100;
+}
+
+// linear RGB (0-100) to sRGB component (0-255)
+function delinearized(rgbComponent) {
+  let normalized = rgbComponent / 100;
+  let delinearized = (normalized <= 0.0031308)
+      ? normalized * 12.92
+      : 1.055 * Math.pow(normalized, 1 / 2.4) - 0.055;
+  return clamp(0, 255, Math.round(delinearized * 255));
+}
+
+function labF(t) {
+  const e = 216 / 24389;
+  const kappa = 24389 / 27;
+  return (t > e) ? Math.cbrt(t) : (kappa * t + 16) / 116;
+}
+
+function labInvf(ft) {
+  const e = 216 / 24389;
+  const kappa = 24389 / 27;
+  let ft3 = ft * ft * ft;
+  return (ft3 > e) ? ft3 : (116 * ft - 16) / kappa;
+}
+
+function yFromLstar(lstar) {
+  return 100 * labInvf((lstar + 16) / 116);
+}
+
+function argbFromXyz(x, y, z) {
+  let m = XYZ_TO_SRGB;
+  return argbFromRgb(
+      delinearized(m[0][0] * x + m[0][1] * y + m[0][2] * z),
+      delinearized(m[1][0] * x + m[1][1] * y + m[1][2] * z),
+      delinearized(m[2][0] * x + m[2][1] * y + m[2][2] * z));
+}
+
+function xyzFromArgb(argb) {
+  let r = linearized((argb >> 16) & 255);
+  let g = linearized((argb >> 8) & 255);
+  let b = linearized(argb & 255);
+  let m = SRGB_TO_XYZ;
+  return [
+    m[0][0] * r + m[0][1] * g + m[0][2] * b,
+    m[1][0] * r + m[1][1] * g + m[1][2] * b,
+    m[2][0] * r + m[2][1] * g + m[2][2] * b,
+  ];
+}
+
+function lstarFromArgb(argb) {
+  return 116 * labF(xyzFromArgb(argb)[1] / 100) - 16;
+}
+
+function argbFromLstar(lstar) {
+  let component = delinearized(yFromLstar(lstar));
+  return argbFromRgb(component, component, component);
+}
+
+
+/**
+ * The environment a color is viewed in. Only the default (sRGB-like
+ * average surround, mid-grey background) conditions are used in the app.
+ */
+class ViewingConditions {
+  static make(whitePoint = WHITE_POINT_D65,
+              adaptingLuminance = (200 / Math.PI) * yFromLstar(50) / 100,
+              backgroundLstar = 50,
+              surround = 2,
+              discountingIlluminant = false) {
+    let [x, y, z] = whitePoint;
+    let rW = x * 0.401288 + y * 0.650173 + z * -0.051461;
+    let gW = x * -0.250268 + y * 1.204414 + z * 0.045854;
+    let bW = x * -0.002079 + y * 0.048952 + z * 0.953127;
+
+    let f = 0.8 + surround / 10;
+    let c = (f >= 0.9)
+        ? lerp(0.59, 0.69, (f - 0.9) * 10)
+        : lerp(0.525, 0.59, (f - 0.8) * 10);
+    let d = discountingIlluminant
+        ? 1
+        : f * (1 - (1 / 3.6) * Math.exp((-adaptingLuminance - 42) / 92));
+    d = clamp(0, 1, d);
+
+    let nc = f;
+    let rgbD = [
+      d * (100 / rW) + 1 - d,
+      d * (100 / gW) + 1 - d,
+      d * (100 / bW) + 1 - d,
+    ];
+
+    let k = 1 / (5 * adaptingLuminance + 1);
+    let k4 = k * k * k * k;
+    let k4F = 1 - k4;
+    let fl = k4 * adaptingLuminance + 0.1 * k4F * k4F * Math.cbrt(5 * adaptingLuminance);
+    let n = yFromLstar(backgroundLstar) / whitePoint[1];
+    let z_ = 1.48 + Math.sqrt(n);
+    let nbb = 0.725 / Math.pow(n, 0.2);
+    let ncb = nbb;
+    let rgbA = [rW, gW, bW]
+        .map((w, i) => Math.pow(fl * rgbD[i] * w / 100, 0.42))
+        .map(af => 400 * af / (af + 27.13));
+    let aw = (2 * rgbA[0] + rgbA[1] + 0.05 * rgbA[2]) * nbb;
+
+    return new ViewingConditions({n, aw, nbb, ncb, c, nc, rgbD, fl, fLRoot: Math.pow(fl, 0.25), z: z_});
+  }
+
+  constructor(props) {
+    Object.assign(this, props);
+  }
+}
+
+ViewingConditions.DEFAULT = ViewingConditions.make();
+
+
+/**
+ * A color in the CAM16 color appearance model.
+ */
+class Cam16 {
+  constructor(hue, chroma, j, q, m, s, jstar, astar, bstar) {
+    Object.assign(this, {hue, chroma, j, q, m, s, jstar, astar, bstar});
+  }
+
+  static fromInt(argb, vc = ViewingConditions.DEFAULT) {
+    let [x, y, z] = xyzFromArgb(argb);
+
+    let rC = 0.401288 * x + 0.650173 * y - 0.051461 * z;
+    let gC = -0.250268 * x + 1.204414 * y + 0.045854 * z;
+    let bC = -0.002079 * x + 0.048952 * y + 0.953127 * z;
+
+    let [rA, gA, bA] = [rC, gC, bC].map((component, i) => {
+      let d = vc.rgbD[i] * component;
+      let af = Math.pow(vc.fl * Math.abs(d) / 100, 0.42);
+      return Math.sign(d) * 400 * af / (af + 27.13);
+    });
+
+    let a = (11 * rA - 12 * gA + bA) / 11;
+    let b = (rA + gA - 2 * bA) / 9;
+    let u = (20 * rA + 20 * gA + 21 * bA) / 20;
+    let p2 = (40 * rA + 20 * gA + bA) / 20;
+    let hue = sanitizeDegrees(Math.atan2(b, a) * 180 / Math.PI);
+    let hueRadians = hue * Math.PI / 180;
+
+    let ac = p2 * vc.nbb;
+    let j = 100 * Math.pow(ac / vc.aw, vc.c * vc.z);
+    let q = (4 / vc.c) * Math.sqrt(j / 100) * (vc.aw + 4) * vc.fLRoot;
+    let huePrime = (hue < 20.14) ? hue + 360 : hue;
+    let eHue = 0.25 * (Math.cos(huePrime * Math.PI / 180 + 2) + 3.8);
+    let p1 = 50000 / 13 * eHue * vc.nc * vc.ncb;
+    let t = p1 * Math.hypot(a, b) / (u + 0.305);
+    let alpha = Math.pow(t, 0.9) * Math.pow(1.64 - Math.pow(0.29, vc.n), 0.73);
+    let chroma = alpha * Math.sqrt(j / 100);
+    let m = chroma * vc.fLRoot;
+    let s = 50 * Math.sqrt((alpha * vc.c) / (vc.aw + 4));
+    let jstar = (1 + 100 * 0.007) * j / (1 + 0.007 * j);
+    let mstar = 1 / 0.0228 * Math.log(1 + 0.0228 * m);
+
+    return new Cam16(hue, chroma, j, q, m, s, jstar,
+        mstar * Math.cos(hueRadians), mstar * Math.sin(hueRadians));
+  }
+
+  static fromJch(j, chroma, hue, vc = ViewingConditions.DEFAULT) {
+    let q = (4 / vc.c) * Math.sqrt(j / 100) * (vc.aw + 4) * vc.fLRoot;
+    let m = chroma * vc.fLRoot;
+    let alpha = chroma / Math.sqrt(j / 100);
+    let s = 50 * Math.sqrt((alpha * vc.c) / (vc.aw + 4));
+    let hueRadians = hue * Math.PI / 180;
+    let jstar = (1 + 100 * 0.007) * j / (1 + 0.007 * j);
+    let mstar = 1 / 0.0228 * Math.log(1 + 0.0228 * m);
+
+    return new Cam16(hue, chroma, j, q, m, s, jstar,
+        mstar * Math.cos(hueRadians), mstar * Math.sin(hueRadians));
+  }
+
+  distance(other) {
+    let dEPrime = Math.hypot(
+        this.jstar - other.jstar, this.astar - other.astar, this.bstar - other.bstar);
+    return 1.41 * Math.pow(dEPrime, 0.63);
+  }
+
+  // returns the (sRGB-clipped) color as ARGB
+  toInt(vc = ViewingConditions.DEFAULT) {
+    let alpha = (this.chroma === 0 || this.j === 0)
+        ? 0
+        : this.chroma / Math.sqrt(this.j / 100);
+    let t = Math.pow(alpha / Math.pow(1.64 - Math.pow(0.29, vc.n), 0.73), 1 / 0.9);
+    let hRad = this.hue * Math.PI / 180;
+
+    let eHue = 0.25 * (Math.cos(hRad + 2) + 3.8);
+    let ac = vc.aw * Math.pow(this.j / 100, 1 / vc.c / vc.z);
+    let p1 = eHue * (50000 / 13) * vc.nc * vc.ncb;
+    let p2 = ac / vc.nbb;
+
+    let hSin = Math.sin(hRad);
+    let hCos = Math.cos(hRad);
+
+    let gamma = 23 * (p2 + 0.305) * t / (23 * p1 + 11 * t * hCos + 108 * t * hSin);
+    let a = gamma * hCos;
+    let b = gamma * hSin;
+    let rA = (460 * p2 + 451 * a + 288 * b) / 1403;
+    let gA = (460 * p2 - 891 * a - 261 * b) / 1403;
+    let bA = (460 * p2 - 220 * a - 6300 * b) / 1403;
+
+    let [rF, gF, bF] = [rA, gA, bA].map((component, i) => {
+      let base = Math.max(0, (27.13 * Math.abs(component)) / (400 - Math.abs(component)));
+      return Math.sign(component) * (100 / vc.fl) * Math.pow(base, 1 / 0.42) / vc.rgbD[i];
+    });
+
+    return argbFromXyz(
+        1.86206786 * rF - 1.01125463 * gF + 0.14918677 * bF,
+        0.38752654 * rF + 0.62144744 * gF - 0.00897398 * bF,
+        -0.01584150 * rF - 0.03412294 * gF + 1.04996444 * bF);
+  }
+}
+
+
+// finds the color with the given hue and chroma whose tone is closest to the given one,
+// or null if it's out of gamut
+function findCamByJ(hue, chroma, tone) {
+  let low = 0;
+  let high = 100;
+  let bestdL = 1000;
+  let bestdE = 1000;
+  let bestCam = null;
+  while (Math.abs(low - high) > LIGHTNESS_SEARCH_ENDPOINT) {
+    let mid = low + (high - low) / 2;
+    let clipped = Cam16.fromJch(mid, chroma, hue).toInt();
+    let clippedLstar = lstarFromArgb(clipped);
+    let dL = Math.abs(tone - clippedLstar);
+    if (dL < DL_MAX) {
+      let camClipped = Cam16.fromInt(clipped);
+      let dE = camClipped.distance(Cam16.fromJch(camClipped.j, camClipped.chroma, hue));
+      if (dE <= DE_MAX && dE <= bestdE) {
+        bestdL = dL;
+        bestdE = dE;
+        bestCam = camClipped;
+      }
+    }
+
+    if (bestdL === 0 && bestdE === 0) {
+      break;
+    }
+
+    if (clippedLstar < tone) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return bestCam;
+}
+
+
+// solves for the ARGB color with the given HCT coordinates, reducing chroma
+// as needed to stay within the sRGB gamut
+function solveToInt(hue, chroma, tone) {
+  if (chroma < 1 || Math.round(tone) <= 0 || Math.round(tone) >= 100) {
+    return argbFromLstar(tone);
+  }
+
+  hue = sanitizeDegrees(hue);
+  let high = chroma;
+  let mid = chroma;
+  let low = 0;
+  let isFirstLoop = true;
+  let answer = null;
+  while (Math.abs(low - high) >= CHROMA_SEARCH_ENDPOINT) {
+    let possibleAnswer = findCamByJ(hue, mid, tone);
+    if (isFirstLoop) {
+      if (possibleAnswer) {
+        return possibleAnswer.toInt();
+      }
+
+      isFirstLoop = false;
+    } else if (possibleAnswer) {
+      answer = possibleAnswer;
+      low = mid;
+    } else {
+      high = mid;
+    }
+
+    mid = low + (high - low) / 2;
+  }
+
+  return answer ? answer.toInt() : argbFromLstar(tone);
+}
+
+
+/**
+ * A color expressed as HCT: CAM16 hue (0-360) and chroma, and L* tone (0-100).
+ */
+class Hct {
+  static from(hue, chroma, tone) {
+    return new Hct(solveToInt(hue, chroma, tone));
+  }
+
+  static fromInt(argb) {
+    return new Hct(argb);
+  }
+
+  static fromHex(hex) {
+    return new Hct(argbFromHex(hex));
+  }
+
+  constructor(argb) {
+    let cam = Cam16.fromInt(argb);
+    this.argb = argb;
+    this.hue = cam.hue;
+    this.chroma = cam.chroma;
+    this.tone = lstarFromArgb(argb);
+  }
+
+  toInt() {
+    return this.argb;
+  }
+
+  toHex() {
+    return hexFromArgb(this.argb);
+  }
+}
+
+
+/**
+ * A set of colors sharing a hue and chroma, indexed by tone (0-100).
+ */
+class TonalPalette {
+  static fromHex(hex) {
+    let hct = Hct.fromHex(hex);
+    return new TonalPalette(hct.hue, hct.chroma);
+  }
+
+  constructor(hue, chroma) {
+    this.hue = hue;
+    this.chroma = chroma;
+    this._cache = new Map();
+  }
+
+  /**
+   * Returns the ARGB color at the given tone.
+   */
+  tone(tone) {
+    if (!this._cache.has(tone)) {
+      this._cache.set(tone, solveToInt(this.hue, this.chroma, tone));
+    }
+
+    return this._cache.get(tone);
+  }
+
+  /**
+   * Returns the hex color at the given tone.
+   */
+  toneHex(tone) {
+    return hexFromArgb(this.tone(tone));
+  }
+}
+
+
+module.exports = {
+  Hct,
+  TonalPalette,
+  argbFromHex,
+  hexFromArgb,
+  lstarFromArgb,
+};
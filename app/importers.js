@@ -0,0 +1,284 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const tinycolor = require('tinycolor2');
+
+const {WHITE_D50, labToXyz, xyzD50ToD65, xyzToRgb} = require('./color-spaces.js');
+
+// Each parser returns {title, groups: [{title, colors: [{name, hex}]}], problems},
+// where problems describes entries that were skipped or changed
+const IMPORTERS = [
+  {title: 'Adobe Swatch Exchange', extensions: ['.ase'], binary: true, parse: parseAse},
+  {title: 'GIMP Palette', extensions: ['.gpl'], parse: parseGpl},
+  {title: 'Color List JSON', extensions: ['.clr-json'], parse: parseClrJson},
+  {title: 'Sketch Palette', extensions: ['.sketchpalette'], parse: parseSketchPalette},
+];
+
+
+/**
+ * Reads a palette file in any of the supported formats and converts it to a
+ * hue shaped like "extraColors" entries (named colors in _groups).
+ *
+ * Returns {hueName, hue, problems}. Throws if the file can't be read, isn't a
+ * supported format or has no usable colors.
+ */
+function importPaletteFile(filePath) {
+  let fileName = path.basename(filePath).toLowerCase();
+  let importer = IMPORTERS.find(({extensions}) => extensions.find(ext => fileName.endsWith(ext)));
+  if (!importer) {
+    throw new Error(`${path.basename(filePath)} isn't a supported palette file.`);
+  }
+
+  let data = fs.readFileSync(filePath);
+  let {title, groups, problems} = importer.parse(importer.binary ? data : data.toString('utf8'));
+  groups = groups.filter(group => group.colors.length);
+  if (!groups.length) {
+    throw new Error(`No colors found in ${path.basename(filePath)}.`);
+  }
+
+  let firstHex = groups[0].colors[0].hex;
+  let hueName = (title || path.basename(filePath).replace(/\..*$/, ''))
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'imported';
+
+  return {
+    hueName,
+    hue: {
+      _selectorLight: firstHex,
+      _selectorDark: firstHex,
+      _groups: groups.map(group => ({
+        ...(group.title ? {title: group.title} : {}),
+        colors: group.colors,
+      })),
+    },
+    problems,
+  };
+}
+
+
+/**
+ * Adobe Swatch Exchange, a binary format: 'ASEF', version, block count, then
+ * blocks of group start/end and color entries.
+ */
+function parseAse(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'ASEF') {
+    throw new Error('Not an Adobe Swatch Exchange file.');
+  }
+
+  let readString = (block, offset) => {
+    // length in UTF-16 code units, including a null terminator
+    let length = block.readUInt16BE(offset);
+    let bytes = Buffer.from(block.slice(offset + 2, offset + 2 + length * 2));
+    return {
+      value: bytes.swap16().toString('utf16le').replace(/\0+$/, ''),
+      end: offset + 2 + length * 2,
+    };
+  };
+
+  let ungrouped = {title: null, colors: []};
+  let groups = [ungrouped];
+  let currentGroup = ungrouped;
+  let problems = [];
+
+  let numBlocks = buffer.readUInt32BE(8);
+  let offset = 12;
+  for (let i = 0; i < numBlocks; i++) {
+    if (offset + 6 > buffer.length) {
+      problems.push(`The file ends after ${i} of ${numBlocks} entries.`);
+      break;
+    }
+
+    let blockType = buffer.readUInt16BE(offset);
+    let blockLength = buffer.readUInt32BE(offset + 2);
+    let block = buffer.slice(offset + 6, offset + 6 + blockLength);
+    offset += 6 + blockLength;
+
+    try {
+      if (blockType === 0xc001) {
+        // group start
+        currentGroup = {title: readString(block, 0).value, colors: []};
+        groups.push(currentGroup);
+      } else if (blockType === 0xc002) {
+        // group end
+        currentGroup = ungrouped;
+      } else if (blockType === 0x0001) {
+        let {value: name, end} = readString(block, 0);
+        let model = block.toString('ascii', end, end + 4).trim();
+        let values = [];
+        for (let v = end + 4; v + 4 <= block.length - 2 && values.length < 4; v += 4) {
+          values.push(block.readFloatBE(v));
+        }
+
+        let hex = aseColorToHex(model, values);
+        if (hex) {
+          currentGroup.colors.push({name: name || hex, hex});
+        } else {
+          problems.push(`${name || `Entry ${i + 1}`}: unsupported color model "${model}".`);
+        }
+      } else {
+        problems.push(`Entry ${i + 1}: unknown block type 0x${blockType.toString(16)}.`);
+      }
+    } catch (e) {
+      problems.push(`Entry ${i + 1}: ${e.message}`);
+    }
+  }
+
+  return {title: null, groups, problems};
+}
+
+
+function aseColorToHex(model, values) {
+  let rgb;
+  if (model === 'RGB' && values.length >= 3) {
+    let [r, g, b] = values.map(v => v * 255);
+    rgb = {r, g, b};
+  } else if (model === 'CMYK' && values.length >= 4) {
+    let [c, m, y, k] = values;
+    rgb = {r: 255 * (1 - c) * (1 - k), g: 255 * (1 - m) * (1 - k), b: 255 * (1 - y) * (1 - k)};
+  } else if (model === 'Gray' && values.length >= 1) {
+    rgb = {r: values[0] * 255, g: values[0] * 255, b: values[0] * 255};
+  } else if (model === 'LAB' && values.length >= 3) {
+    // L is stored as 0-1, Lab colors in ASE files are relative to D50
+    let [l, a, b] = values;
+    rgb = xyzToRgb(xyzD50ToD65(labToXyz({l: l * 100, a, b}, WHITE_D50)));
+  } else {
+    return null;
+  }
+
+  return tinycolor(rgb).toHexString().toUpperCase();
+}
+
+
+/**
+ * GIMP palette: a 'GIMP Palette' header, optional Name/Columns lines, '#'
+ * comments and 'R G B name' lines.
+ */
+function parseGpl(text) {
+  let lines = text.split(/\r?\n/);
+  if (!lines[0].trim().startsWith('GIMP Palette')) {
+    throw new Error('Not a GIMP palette file.');
+  }
+
+  let title = null;
+  let colors = [];
+  let problems = [];
+  lines.slice(1).forEach((line, index) => {
+    line = line.trim();
+    let m;
+    if (!line || line.startsWith('#') || line.startsWith('Columns:')) {
+      return;
+    } else if ((m = line.match(/^Name:\s*(.*)$/))) {
+      title = m[1];
+    } else if ((m = line.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/))) {
+      let [r, g, b] = [m[1], m[2], m[3]].map(Number);
+      if ([r, g, b].some(c => c > 255)) {
+        problems.push(`Line ${index + 2}: "${line}" is out of range.`);
+        return;
+      }
+
+      let hex = tinycolor({r, g, b}).toHexString().toUpperCase();
+      let name = m[4].trim();
+      colors.push({name: (name && name !== 'Untitled') ? name : hex, hex});
+    } else {
+      problems.push(`Line ${index + 2}: couldn't read "${line}".`);
+    }
+  });
+
+  return {title, groups: [{title: null, colors}], problems};
+}
+
+
+/**
+ * Color list exported as JSON: {"name": ..., "colors": [...]} or just the
+ * array of colors, see parseColorEntry for supported colors.
+ */
+function parseClrJson(text) {
+  let data = JSON.parse(text);
+  let entries = Array.isArray(data) ? data : (data.colors || []);
+  return {
+    title: Array.isArray(data) ? null : (data.name || data.title || null),
+    ...parseColorEntries(entries),
+  };
+}
+
+
+/**
+ * Sketch palette (sketch-palettes plugin): {"colors": [...]}, where colors are
+ * hex strings (v1) or {red, green, blue, alpha, name} objects (v2).
+ */
+function parseSketchPalette(text) {
+  let data = JSON.parse(text);
+  if (!Array.isArray(data.colors)) {
+    throw new Error('Not a Sketch palette file.');
+  }
+
+  return {title: data.name || null, ...parseColorEntries(data.colors)};
+}
+
+
+function parseColorEntries(entries) {
+  let colors = [];
+  let problems = [];
+  entries.forEach((entry, index) => {
+    let label = (entry && entry.name) || `Entry ${index + 1}`;
+    let color = parseColorEntry(entry);
+    if (!color || !color.isValid()) {
+      problems.push(`${label}: couldn't read ${JSON.stringify(entry)}.`);
+      return;
+    }
+
+    if (color.getAlpha() < 1) {
+      problems.push(`${label}: alpha ${Math.round(color.getAlpha() * 100)}% was dropped.`);
+    }
+
+    let hex = color.toHexString().toUpperCase();
+    colors.push({name: (entry && entry.name) || hex, hex});
+  });
+
+  return {groups: [{title: null, colors}], problems};
+}
+
+
+// a color string, {hex} or {red, green, blue, alpha} with components from 0-1
+function parseColorEntry(entry) {
+  if (typeof entry === 'string') {
+    return tinycolor(entry);
+  } else if (!entry || typeof entry !== 'object') {
+    return null;
+  } else if (entry.hex || entry.color) {
+    return tinycolor(entry.hex || entry.color);
+  } else if (['red', 'green', 'blue'].every(k => typeof entry[k] === 'number')) {
+    return tinycolor({
+      r: entry.red * 255,
+      g: entry.green * 255,
+      b: entry.blue * 255,
+      a: ('alpha' in entry) ? entry.alpha : 1,
+    });
+  }
+
+  return null;
+}
+
+
+module.exports = {
+  IMPORTERS,
+  importPaletteFile,
+};
@@ -0,0 +1,553 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+const tinycolor = require('tinycolor2');
+
+const {
+  WHITE_D50,
+  rgbToXyz,
+  xyzToRgb,
+  xyzD50ToD65,
+  xyzD65ToD50,
+  xyzToLab,
+  labToXyz,
+  displayP3ToXyz,
+  xyzToDisplayP3,
+  rgbToOklab,
+  oklabToRgb,
+} = require('./color-spaces.js');
+
+// e.g. colors.xml or layouts (other XML, like SVG, uses CSS order)
+const ANDROID_SOURCE_PATTERN =
+    /<resources\b|\bxmlns:android=|\bandroid:\w+=|\bR\.color\.|^\s*import\s+android(?:x)?\./m;
+const ANDROID_SOURCE_EXTENSIONS = ['.java', '.kt'];
+
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?';
+// a number or a fraction like 244/255 or 244.0 / 255.0
+const COMPONENT = `${NUMBER}(?:\\s*\\/\\s*${NUMBER})?`;
+
+
+/**
+ * Color literal syntaxes, tried in order. Each has:
+ *
+ * - parse(text, options): returns a tinycolor for text in this syntax, or null
+ * - format(color, options): returns the color in this syntax, or null if it
+ *   can't be written in it
+ * - scanPattern (optional): a regex source matching literals in this syntax
+ *   within longer text, used by findColorLiterals
+ *
+ * where options may include resolveResourceName(name), which returns the hex
+ * for a palette color's resource name (e.g. 'red_500'), resourceName, the
+ * resource name of the color being formatted, and hexOrder, 'argb' to read
+ * 8 and 4-digit #hex in Android order (#AARRGGBB) instead of CSS order
+ * (#RRGGBBAA, the default). See guessHexOrder.
+ *
+ * Use registerColorSyntax to add more.
+ */
+const COLOR_SYNTAXES = [
+  {
+    id: 'flutter',
+    title: 'Flutter',
+    scanPattern: '(?:const\\s+)?Color(?:\\.from(?:ARGB|RGBO))?\\([^()]*\\)',
+    parse: text => {
+      let m;
+      if ((m = text.match(/^(?:const\s+)?Color\(\s*0x([0-9a-f]{8})\s*\)$/i))) {
+        return fromArgbHex(m[1]);
+      } else if ((m = text.match(new RegExp(
+          `^Color\\.fromARGB\\(${args(4)}\\)$`, 'i')))) {
+        let [a, r, g, b] = m.slice(1).map(Number);
+        return tinycolor({r, g, b, a: a / 255});
+      } else if ((m = text.match(new RegExp(
+          `^Color\\.fromRGBO\\(${args(4)}\\)$`, 'i')))) {
+        let [r, g, b, a] = m.slice(1).map(Number);
+        return tinycolor({r, g, b, a});
+      }
+      return null;
+    },
+    format: color => `Color(0x${argbHex(color)})`,
+  },
+  {
+    id: 'hex-int',
+    title: 'Hex Integer',
+    scanPattern: '\\b0x[0-9a-f]{6}(?:[0-9a-f]{2})?\\b',
+    parse: text => {
+      let m = text.match(/^0x([0-9a-f]{6}|[0-9a-f]{8})$/i);
+      return m && fromArgbHex(m[1]);
+    },
+    format: color => `0x${argbHex(color)}`,
+  },
+  {
+    id: 'android-hex',
+    title: 'Android',
+    scanPattern: '(?<![&\\w])#(?:[0-9a-f]{8}|[0-9a-f]{4})\\b',
+    parse: (text, {hexOrder} = {}) => {
+      // #AARRGGBB and #ARGB, only in Android sources (elsewhere 'hex' reads
+      // them in CSS order)
+      let m = (hexOrder === 'argb') && text.match(/^#([0-9a-f]{8}|[0-9a-f]{4})$/i);
+      return m ? fromArgbHex(m[1]) : null;
+    },
+    format: color => `#${argbHex(color)}`,
+  },
+  swiftSyntax('uicolor', 'UIKit', '(?:UI|NS)Color', 'UIColor', 'alpha'),
+  swiftSyntax('swiftui', 'SwiftUI', 'Color', 'Color', 'opacity'),
+  swiftSyntax('color-literal', 'Xcode Color Literal', '#colorLiteral', '#colorLiteral', 'alpha'),
+  {
+    id: 'android-resource',
+    title: 'Android Resource',
+    scanPattern: '(?:@color\\/|\\bR\\.color\\.)\\w+',
+    parse: (text, {resolveResourceName} = {}) => {
+      let m = text.match(/^(?:@color\/|R\.color\.)([a-z_][\w]*)$/i);
+      let hex = m && resolveResourceName && resolveResourceName(m[1]);
+      return hex ? tinycolor(hex) : null;
+    },
+    format: (color, {resourceName} = {}) => resourceName ? `@color/${resourceName}` : null,
+  },
+  {
+    id: 'css-rgb',
+    title: 'CSS rgb()',
+    scanPattern: '\\brgba?\\([^()]*\\)',
+    parse: text => {
+      let fn = parseCssFunction(text, ['rgb', 'rgba']);
+      if (!fn || fn.args.length !== 3) {
+        return null;
+      }
+      let [r, g, b] = fn.args.map(arg => arg.percent ? arg.value * 2.55 : arg.value);
+      return tinycolor({r, g, b, a: fn.alpha});
+    },
+    format: color => {
+      let {r, g, b, a} = color.toRgb();
+      return `rgb(${r} ${g} ${b}${alphaSuffix(a)})`;
+    },
+  },
+  {
+    id: 'css-hsl',
+    title: 'CSS hsl()',
+    scanPattern: '\\bhsla?\\([^()]*\\)',
+    parse: text => {
+      let fn = parseCssFunction(text, ['hsl', 'hsla']);
+      if (!fn || fn.args.length !== 3) {
+        return null;
+      }
+      let [h, s, l] = fn.args;
+      return tinycolor({h: h.degrees, s: s.value / 100, l: l.value / 100, a: fn.alpha});
+    },
+    format: color => {
+      let {h, s, l, a} = color.toHsl();
+      return `hsl(${round(h, 1)} ${round(s * 100, 1)}% ${round(l * 100, 1)}%${alphaSuffix(a)})`;
+    },
+  },
+  {
+    id: 'css-hwb',
+    title: 'CSS hwb()',
+    scanPattern: '\\bhwb\\([^()]*\\)',
+    parse: text => {
+      let fn = parseCssFunction(text, ['hwb']);
+      if (!fn || fn.args.length !== 3) {
+        return null;
+      }
+      let [h, w, b] = fn.args;
+      let white = w.value / 100;
+      let black = b.value / 100;
+      if (white + black >= 1) {
+        let gray = 255 * white / (white + black);
+        return tinycolor({r: gray, g: gray, b: gray, a: fn.alpha});
+      }
+      let {r, g, b: blue} = tinycolor({h: h.degrees, s: 1, l: .5}).toRgb();
+      let mix = c => c * (1 - white - black) + 255 * white;
+      return tinycolor({r: mix(r), g: mix(g), b: mix(blue), a: fn.alpha});
+    },
+    format: color => {
+      let {h, s, v, a} = color.toHsv();
+      return `hwb(${round(h, 1)} ${round((1 - s) * v * 100, 1)}% ${
+          round((1 - v) * 100, 1)}%${alphaSuffix(a)})`;
+    },
+  },
+  {
+    id: 'css-lab',
+    title: 'CSS lab()',
+    scanPattern: '\\blab\\([^()]*\\)',
+    parse: text => {
+      // CSS Lab is relative to D50
+      let fn = parseCssFunction(text, ['lab']);
+      if (!fn || fn.args.length !== 3) {
+        return null;
+      }
+      let [l, a, b] = fn.args;
+      let lab = {
+        l: l.value,
+        a: a.percent ? a.value * 1.25 : a.value,
+        b: b.percent ? b.value * 1.25 : b.value,
+      };
+      return tinycolor({...xyzToRgb(xyzD50ToD65(labToXyz(lab, WHITE_D50))), a: fn.alpha});
+    },
+    format: color => {
+      let {l, a, b} = xyzToLab(xyzD65ToD50(rgbToXyz(color.toRgb())), WHITE_D50);
+      return `lab(${round(l, 2)}% ${round(a, 2)} ${round(b, 2)}${alphaSuffix(color.getAlpha())})`;
+    },
+  },
+  {
+    id: 'css-lch',
+    title: 'CSS lch()',
+    scanPattern: '\\blch\\([^()]*\\)',
+    parse: text => {
+      // CSS LCH is relative to D50, like Lab
+      let fn = parseCssFunction(text, ['lch']);
+      if (!fn || fn.args.length !== 3) {
+        return null;
+      }
+      let [l, c, h] = fn.args;
+      let chroma = c.percent ? c.value * 1.5 : c.value;
+      let hue = h.degrees * Math.PI / 180;
+      let lab = {l: l.value, a: chroma * Math.cos(hue), b: chroma * Math.sin(hue)};
+      return tinycolor({...xyzToRgb(xyzD50ToD65(labToXyz(lab, WHITE_D50))), a: fn.alpha});
+    },
+    format: color => {
+      let {l, a, b} = xyzToLab(xyzD65ToD50(rgbToXyz(color.toRgb())), WHITE_D50);
+      let c = Math.hypot(a, b);
+      let h = (c < 0.0001) ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+      return `lch(${round(l, 2)}% ${round(c, 2)} ${round(h, 2)}${alphaSuffix(color.getAlpha())})`;
+    },
+  },
+  {
+    id: 'css-oklch',
+    title: 'CSS oklch()',
+    scanPattern: '\\boklch\\([^()]*\\)',
+    parse: text => {
+      let fn = parseCssFunction(text, ['oklch']);
+      if (!fn || fn.args.length !== 3) {
+        return null;
+      }
+      let [l, c, h] = fn.args;
+      let lightness = l.percent ? l.value / 100 : l.value;
+      let chroma = c.percent ? c.value * 0.004 : c.value;
+      let hue = h.degrees * Math.PI / 180;
+      let rgb = oklabToRgb({l: lightness, a: chroma * Math.cos(hue), b: chroma * Math.sin(hue)});
+      return tinycolor({...rgb, a: fn.alpha});
+    },
+    format: color => {
+      let {l, a, b} = rgbToOklab(color.toRgb());
+      let c = Math.hypot(a, b);
+      let h = (c < 0.0001) ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+      return `oklch(${round(l * 100, 2)}% ${round(c, 4)} ${round(h, 2)}${
+          alphaSuffix(color.getAlpha())})`;
+    },
+  },
+  {
+    id: 'css-display-p3',
+    title: 'CSS color(display-p3)',
+    scanPattern: '\\bcolor\\(\\s*display-p3[^()]*\\)',
+    parse: text => {
+      let m = text.match(/^color\(\s*display-p3\s+(.*)\)$/i);
+      let fn = m && parseCssFunction(`p3(${m[1]})`, ['p3']);
+      if (!fn || fn.args.length !== 3) {
+        return null;
+      }
+      let [r, g, b] = fn.args.map(arg => arg.percent ? arg.value / 100 : arg.value);
+      return tinycolor({...xyzToRgb(displayP3ToXyz({r, g, b})), a: fn.alpha});
+    },
+    format: color => {
+      let {r, g, b} = xyzToDisplayP3(rgbToXyz(color.toRgb()));
+      return `color(display-p3 ${round(r, 4)} ${round(g, 4)} ${round(b, 4)}${
+          alphaSuffix(color.getAlpha())})`;
+    },
+  },
+  {
+    id: 'hex',
+    title: 'Hex',
+    // bare hex is too common in code, and &#123; is an HTML entity
+    scanPattern: '(?<![&\\w])#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})\\b',
+    parse: text => {
+      let color = text.match(/^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i) && tinycolor(text);
+      return (color && color.isValid()) ? color : null;
+    },
+    format: color => (color.getAlpha() < 1)
+        ? color.toHex8String().toUpperCase()
+        : color.toHexString().toUpperCase(),
+  },
+  {
+    // anything else tinycolor understands, e.g. CSS color names (which aren't
+    // scanned for, since they're common words)
+    id: 'css',
+    title: 'CSS',
+    parse: text => {
+      let color = tinycolor(text);
+      return color.isValid() ? color : null;
+    },
+    format: color => color.toName() || color.toHexString().toUpperCase(),
+  },
+];
+
+
+/**
+ * Adds a color syntax (see COLOR_SYNTAXES), tried before the built-in syntaxes
+ * unless {last: true} is given.
+ */
+function registerColorSyntax(syntax, {last} = {}) {
+  if (last) {
+    COLOR_SYNTAXES.push(syntax);
+  } else {
+    COLOR_SYNTAXES.unshift(syntax);
+  }
+}
+
+
+/**
+ * Parses a color literal in any known syntax, returning {color, syntax} where
+ * color is a tinycolor and syntax is the id of the syntax it was written in,
+ * or null if the text isn't a color.
+ */
+function parseColorLiteral(text, options = {}) {
+  text = (text || '').trim().replace(/;$/, '').trim();
+  if (!text || text.length > 200) {
+    return null;
+  }
+
+  for (let syntax of COLOR_SYNTAXES) {
+    let color = syntax.parse(text, options);
+    if (color && color.isValid()) {
+      return {color, syntax: syntax.id};
+    }
+  }
+
+  return null;
+}
+
+
+/**
+ * Parses a color typed or pasted on its own, e.g. into search, where there's
+ * no file to tell the hex order from. #FFRRGGBB is read as an opaque Android
+ * color rather than a mostly transparent CSS one, unless only the CSS reading
+ * is a known color (pass isKnownColor(tinycolor) to check), as for white at 8%
+ * (#FFFFFF14). Returns the same as parseColorLiteral.
+ */
+function parseColorInput(text, {isKnownColor = () => false, ...options} = {}) {
+  let literal = parseColorLiteral(text, options);
+  if (!literal || literal.syntax !== 'hex' || !(text || '').trim().match(/^#ff[0-9a-f]{6}$/i)) {
+    return literal;
+  }
+
+  let androidLiteral = parseColorLiteral(text, {...options, hexOrder: 'argb'});
+  if (literal.color.getAlpha() === 1
+      || (isKnownColor(literal.color) && !isKnownColor(androidLiteral.color))) {
+    return literal;
+  }
+
+  return androidLiteral;
+}
+
+
+/**
+ * Finds every color literal in a block of text, e.g. a stylesheet or layout
+ * file. Returns [{line, column, text, color, syntax}], in the order they
+ * appear, with 1-based lines and columns.
+ */
+function findColorLiterals(text, options = {}) {
+  let regex = new RegExp(COLOR_SYNTAXES
+      .filter(({scanPattern}) => scanPattern)
+      .map(({scanPattern}) => `(?:${scanPattern})`)
+      .join('|'), 'gi');
+
+  let literals = [];
+  let line = 1;
+  let lineStart = 0;
+  let lastIndex = 0;
+  let m;
+  while ((m = regex.exec(text))) {
+    for (let i = lastIndex; i < m.index; i++) {
+      if (text[i] === '\n') {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+    lastIndex = m.index;
+
+    let parsed = parseColorLiteral(m[0], options);
+    if (parsed) {
+      literals.push({line, column: m.index - lineStart + 1, text: m[0], ...parsed});
+    }
+  }
+
+  return literals;
+}
+
+
+/**
+ * Writes a color (anything tinycolor understands) in the given syntax,
+ * returning null if it can't be written in it.
+ */
+function formatColorLiteral(syntaxId, color, options = {}) {
+  let syntax = getColorSyntax(syntaxId);
+  return syntax ? syntax.format(tinycolor(color), options) : null;
+}
+
+
+/**
+ * Guesses the order of 8-digit #hex in source code: 'argb' for Android
+ * resources, Java and Kotlin, otherwise 'rgba' (CSS order). Pass the file
+ * name if there is one.
+ */
+function guessHexOrder(text, {fileName} = {}) {
+  let extension = fileName ? path.extname(fileName).toLowerCase() : '';
+  return (ANDROID_SOURCE_EXTENSIONS.includes(extension) || ANDROID_SOURCE_PATTERN.test(text))
+      ? 'argb'
+      : 'rgba';
+}
+
+
+function getColorSyntax(syntaxId) {
+  return COLOR_SYNTAXES.find(({id}) => id === syntaxId) || null;
+}
+
+
+// Swift initializers with 0-1 components, like UIColor(red: 0.96, green: ...)
+function swiftSyntax(id, title, prefixPattern, formatPrefix, alphaLabel) {
+  let regex = new RegExp(`^${prefixPattern}\\(\\s*(?:red|srgbRed|displayP3Red)\\s*:\\s*(${
+      COMPONENT})\\s*,\\s*green\\s*:\\s*(${COMPONENT})\\s*,\\s*blue\\s*:\\s*(${COMPONENT})\\s*(?:,\\s*(?:alpha|opacity)\\s*:\\s*(${
+      COMPONENT})\\s*)?\\)$`);
+  return {
+    id,
+    title,
+    scanPattern: `${prefixPattern}\\([^()]*\\)`,
+    parse: text => {
+      let m = text.match(regex);
+      if (!m) {
+        return null;
+      }
+
+      let [r, g, b] = m.slice(1, 4).map(evalComponent);
+      let a = (m[4] === undefined) ? 1 : evalComponent(m[4]);
+      if (text.includes('displayP3Red')) {
+        return tinycolor({...xyzToRgb(displayP3ToXyz({r, g, b})), a});
+      }
+      return tinycolor({r: r * 255, g: g * 255, b: b * 255, a});
+    },
+    format: color => {
+      let {r, g, b, a} = color.toRgb();
+      return `${formatPrefix}(red: ${round(r / 255, 3)}, green: ${round(g / 255, 3)}, blue: ${
+          round(b / 255, 3)}, ${alphaLabel}: ${round(a, 3)})`;
+    },
+  };
+}
+
+
+function evalComponent(component) {
+  let [numerator, denominator] = component.split('/').map(Number);
+  return (denominator === undefined) ? numerator : numerator / denominator;
+}
+
+
+// a regex fragment matching n comma separated numbers
+function args(n) {
+  return new Array(n).fill(`\\s*(${NUMBER})\\s*`).join(',');
+}
+
+
+/**
+ * Parses CSS color functions in legacy (comma separated) or modern (space
+ * separated, with / alpha) syntax, returning {args: [{value, percent,
+ * degrees}], alpha}. 'none' is treated as 0.
+ */
+function parseCssFunction(text, names) {
+  let m = text.match(/^([a-z0-9-]+)\(\s*(.*?)\s*\)$/i);
+  if (!m || !names.includes(m[1].toLowerCase())) {
+    return null;
+  }
+
+  let body = m[2];
+  let alphaText = null;
+  if (body.includes('/')) {
+    [body, alphaText] = body.split('/').map(s => s.trim());
+  }
+
+  let parts = body.includes(',') ? body.split(',').map(s => s.trim()) : body.split(/\s+/);
+  if (!alphaText && body.includes(',') && parts.length === 4) {
+    alphaText = parts.pop();
+  }
+
+  let parseArg = part => {
+    if (part.toLowerCase() === 'none') {
+      return {value: 0, percent: false, degrees: 0};
+    }
+
+    let argMatch = part.match(new RegExp(`^(${NUMBER})(%|deg|rad|grad|turn)?$`, 'i'));
+    if (!argMatch) {
+      return null;
+    }
+
+    let value = Number(argMatch[1]);
+    let unit = (argMatch[2] || '').toLowerCase();
+    let degrees = {rad: value * 180 / Math.PI, grad: value * 0.9, turn: value * 360}[unit];
+    return {value, percent: unit === '%', degrees: (degrees === undefined) ? value : degrees};
+  };
+
+  let parsedArgs = parts.map(parseArg);
+  if (parsedArgs.some(arg => !arg)) {
+    return null;
+  }
+
+  let alpha = 1;
+  if (alphaText) {
+    let alphaArg = parseArg(alphaText);
+    if (!alphaArg) {
+      return null;
+    }
+    alpha = alphaArg.percent ? alphaArg.value / 100 : alphaArg.value;
+  }
+
+  return {args: parsedArgs, alpha: Math.min(1, Math.max(0, alpha))};
+}
+
+
+function fromArgbHex(hex) {
+  if (hex.length === 4) {
+    hex = hex.replace(/./g, '$&$&');
+  }
+  if (hex.length === 6) {
+    return tinycolor(`#${hex}`);
+  }
+  return tinycolor(`#${hex.substring(2)}${hex.substring(0, 2)}`);
+}
+
+
+// AARRGGBB
+function argbHex(color) {
+  return color.toHex8().replace(/^(.{6})(.{2})$/, '$2$1').toUpperCase();
+}
+
+
+function alphaSuffix(alpha) {
+  return (alpha < 1) ? ` / ${round(alpha, 3)}` : '';
+}
+
+
+function round(n, digits) {
+  return Number(n.toFixed(digits));
+}
+
+
+module.exports = {
+  COLOR_SYNTAXES,
+  registerColorSyntax,
+  getColorSyntax,
+  parseColorLiteral,
+  parseColorInput,
+  findColorLiterals,
+  formatColorLiteral,
+  guessHexOrder,
+};
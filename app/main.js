@@ -19,6 +19,7 @@
 const EventEmitter = require('events');
 const electronPositioner = require('electron-positioner');
 const argv = require('yargs').argv;
+const {hideBin} = require('yargs/helpers');
 const fs = require('fs');
 const electron = require('electron');
 const {app, nativeTheme, autoUpdater, systemPreferences, Menu} = electron;
@@ -27,7 +28,15 @@ const {UPDATE_FEED_URL} = require('./config');
 const DEV_MODE = argv.dev;
 const IS_MAC = process.platform == 'darwin';
 
-const COLORS = require('./colors.js');
+const {DEFAULT_CATALOG_IDS, getProfiles, getProfilesDir, getConfigPath, loadConfig,
+    getConfigFilePaths, Palette} = require('./color-core.js');
+const {getCatalogs} = require('./palettes.js');
+const {watchFiles} = require('./file-watcher.js');
+const {IMPORTERS} = require('./importers.js');
+const {EXPORT_TARGETS} = require('./exporters.js');
+const {CLI_COMMANDS, runCli} = require('./cli.js');
+
+const IS_CLI = CLI_COMMANDS.includes(argv._[0]);
 
 
 const UI_MODES = {
@@ -39,13 +48,21 @@ const UI_MODES = {
 let uiMode = null;
 let mainWindow;
 let mainWindowPositioner;
+let prefsWindow;
+let editorWindow;
 let trayIcon;
 let trayMenu;
 let openAtLogin;
+let enabledCatalogIds = DEFAULT_CATALOG_IDS;
+let activeProfile = null; // the default profile
+let lastGoodConfig = null;
+let stopWatchingConfig = null;
 
 const eventBus = new EventEmitter();
 
-if (!app.requestSingleInstanceLock()) {
+if (IS_CLI) {
+  // runs alongside the app if it's open, without a window
+} else if (!app.requestSingleInstanceLock()) {
   app.quit();
 } else {
   app.on('second-instance', () => {
@@ -57,12 +74,18 @@ if (!app.requestSingleInstanceLock()) {
 
 
 app.on('ready', () => {
+  if (IS_CLI) {
+    runHeadless();
+    return;
+  }
+
   // this setting doesn't seem to change instantly, so don't rely on it
   // for showing the checkbox state in the menu
   openAtLogin = !!app.getLoginItemSettings().openAtLogin;
 
   readPrefs();
   setupUiMode(uiMode, {firstRun: true});
+  watchConfig();
   if (!DEV_MODE) {
     try {
       checkForAppUpdates();
@@ -103,6 +126,15 @@ electron.ipcMain.on('show-overflow-menu', () => {
 
 electron.ipcMain.on('get-home-directory', event => event.returnValue = app.getPath('home'));
 
+electron.ipcMain.on('get-enabled-catalogs', event => event.returnValue = enabledCatalogIds);
+
+electron.ipcMain.on('get-active-profile', event => event.returnValue = activeProfile);
+
+// the preferences window or palette editor changed the config file
+electron.ipcMain.on('config-updated', (event, details) => reloadConfig(details));
+
+electron.ipcMain.on('show-palette-editor', (event, hueName) => showEditorWindow(hueName));
+
 
 eventBus.on('show-hide', () => {
   setupMenus();
@@ -113,14 +145,62 @@ eventBus.on('show-hide', () => {
 });
 
 
+function runHeadless() {
+  if (IS_MAC) {
+    app.dock.hide();
+  }
+
+  readPrefs();
+  let exitCode = runCli(hideBin(process.argv), {
+    homeDir: app.getPath('home'),
+    enabledCatalogIds,
+    profile: activeProfile,
+  });
+
+  // let output to a pipe finish before exiting
+  process.stdout.write('', () => app.exit(exitCode));
+}
+
+
+// pushes config changes to the app and prefs windows, from our own windows or other apps
+function reloadConfig(details) {
+  setupMenus();
+  if (mainWindow) {
+    mainWindow.setSize(mainWindow.getSize()[0], computeMainWindowHeight());
+    mainWindow.webContents.send('config-updated', details);
+  }
+  if (prefsWindow) {
+    // e.g. to save to the newly selected profile
+    prefsWindow.webContents.send('config-updated', details);
+  }
+}
+
+
+function watchConfig() {
+  if (stopWatchingConfig) {
+    stopWatchingConfig();
+  }
+
+  let homeDir = app.getPath('home');
+  stopWatchingConfig = watchFiles(getConfigFilePaths(homeDir, {profile: activeProfile}), () => {
+    // the files it refers to may have changed too
+    watchConfig();
+    dropUnavailableCatalogs();
+    reloadConfig();
+  });
+}
+
+
 function updateMainWindowDarkMode() {
   if (!mainWindow) {
     return;
   }
 
   let darkMode = nativeTheme.shouldUseDarkColors;
-  mainWindow.webContents.send('dark-mode-updated', darkMode);
-  mainWindow.setBackgroundColor(darkMode ? '#3c3c3c' : '#fff');
+  for (let window of [mainWindow, prefsWindow, editorWindow].filter(window => !!window)) {
+    window.webContents.send('dark-mode-updated', darkMode);
+    window.setBackgroundColor(darkMode ? '#3c3c3c' : '#fff');
+  }
 }
 
 
@@ -138,30 +218,176 @@ function setupUiMode(newUiMode, {fromUser, firstRun} = {}) {
 }
 
 
+function toggleCatalog(catalogId) {
+  if (enabledCatalogIds.includes(catalogId)) {
+    if (enabledCatalogIds.length == 1) {
+      // always keep at least one catalog
+      return;
+    }
+
+    enabledCatalogIds = enabledCatalogIds.filter(id => id != catalogId);
+  } else {
+    // keep catalogs in the order they're listed in the menu
+    let catalogIds = getCatalogs(readConfig(), app.getPath('home')).map(({id}) => id);
+    enabledCatalogIds = catalogIds.filter(id => id == catalogId || enabledCatalogIds.includes(id));
+  }
+
+  writePrefs();
+  setupMenus();
+  if (mainWindow) {
+    mainWindow.setSize(mainWindow.getSize()[0], computeMainWindowHeight());
+    mainWindow.webContents.send('catalogs-updated');
+  }
+}
+
+
+function selectProfile(profile) {
+  activeProfile = profile;
+  lastGoodConfig = null;
+  dropUnavailableCatalogs();
+  writePrefs();
+  watchConfig();
+  reloadConfig();
+}
+
+
+function showProfilesFolder() {
+  let profilesDir = getProfilesDir(app.getPath('home'));
+  fs.mkdirSync(profilesDir, {recursive: true});
+  electron.shell.openPath(profilesDir);
+}
+
+
+function importPaletteFiles() {
+  let filePaths = electron.dialog.showOpenDialogSync(mainWindow, {
+    title: 'Import Palette',
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      {
+        name: 'Palette Files',
+        extensions: IMPORTERS.flatMap(({extensions}) => extensions.map(ext => ext.substring(1))),
+      },
+      ...IMPORTERS.map(({title, extensions}) => ({
+        name: title,
+        extensions: extensions.map(ext => ext.substring(1)),
+      })),
+    ],
+  });
+  if (!filePaths || !filePaths.length) {
+    return;
+  }
+
+  toggleVisibility(true);
+  mainWindow.webContents.send('import-palette-files', filePaths);
+}
+
+
+function showPrefsWindow() {
+  if (prefsWindow) {
+    prefsWindow.show();
+    prefsWindow.focus();
+    return;
+  }
+
+  prefsWindow = createToolWindow('prefs.html', {
+    title: 'Preferences',
+    width: 480,
+    height: 520,
+    minWidth: 360,
+    minHeight: 240,
+  });
+  prefsWindow.on('closed', () => prefsWindow = null);
+}
+
+
+function showEditorWindow(hueName) {
+  if (editorWindow) {
+    if (hueName) {
+      editorWindow.webContents.send('select-hue', hueName);
+    }
+    editorWindow.show();
+    editorWindow.focus();
+    return;
+  }
+
+  editorWindow = createToolWindow('editor.html', {
+    title: 'Edit Palette',
+    width: 640,
+    height: 560,
+    minWidth: 480,
+    minHeight: 320,
+  }, hueName ? {hue: hueName} : {});
+  editorWindow.on('closed', () => editorWindow = null);
+}
+
+
+// a regular window next to the app's, for settings and editing
+function createToolWindow(page, options, query = {}) {
+  let darkMode = nativeTheme.shouldUseDarkColors;
+  let window = new electron.BrowserWindow({
+    ...options,
+    maximizable: false,
+    fullscreenable: false,
+    backgroundColor: darkMode ? '#3c3c3c' : '#fff',
+    webPreferences: {
+      contextIsolation: false,
+      enableRemoteModule: true,
+      nodeIntegration: true,
+    }
+  });
+
+  let qs = Object.entries({darkMode, ...query})
+      .map(([k, v]) => k + '=' + encodeURIComponent(v))
+      .join('&');
+  window.loadURL(`file://${__dirname}/${page}?${qs}`);
+  return window;
+}
+
+
 function computeMainWindowHeight() {
   const SIDEBAR_VERT_PADDING = 8;
   const SIDEBAR_HUE_MIN_HEIGHT = 22;
   const SIDEBAR_SEARCH_MIN_HEIGHT = 22;
+  const SIDEBAR_PASTE_MIN_HEIGHT = 22;
+  const SIDEBAR_CONTRAST_MIN_HEIGHT = 22;
+  const SIDEBAR_BLEND_MIN_HEIGHT = 22;
+  const SIDEBAR_VISION_MIN_HEIGHT = 22;
   const SIDEBAR_SEPARATOR_HEIGHT = 17;
 
-  let numColors = Object.keys(COLORS).length;
-  let numSeparators = Object.values(COLORS).filter(({_startGroup}) => !!_startGroup).length;
+  let colors = Palette.load({
+    homeDir: app.getPath('home'),
+    config: readConfig(),
+    catalogIds: enabledCatalogIds,
+  }).palette.colors;
+
+  let numColors = Object.keys(colors).length;
+  let numSeparators = Object.values(colors).filter(({_startGroup}) => !!_startGroup).length;
 
   let sidebarMinHeight = SIDEBAR_VERT_PADDING * 2 +
       + SIDEBAR_SEARCH_MIN_HEIGHT
+      + SIDEBAR_PASTE_MIN_HEIGHT
+      + SIDEBAR_CONTRAST_MIN_HEIGHT
+      + SIDEBAR_BLEND_MIN_HEIGHT
+      + SIDEBAR_VISION_MIN_HEIGHT
       + SIDEBAR_HUE_MIN_HEIGHT * numColors
       + SIDEBAR_SEPARATOR_HEIGHT * numSeparators;
 
   const MAIN_VERT_PADDING = 12;
   const HEADING_HEIGHT = 12 + 8; // with padding
   const VALUE_HEIGHT = 32 + 2; // with padding
-  const NUM_VALUES = 14; // usually 14 total values
+  const MAX_NUM_VALUES = 14; // longer hues scroll
+
+  let numValues = Math.min(MAX_NUM_VALUES, Math.max(...Object.values(colors).map(hue =>
+      Object.keys(hue).filter(k => !k.startsWith('_')).length
+      + (hue._groups || []).reduce((n, group) => n + (group.colors || []).length, 0))));
 
   let mainMinHeight = MAIN_VERT_PADDING * 2
       + HEADING_HEIGHT
-      + VALUE_HEIGHT * NUM_VALUES;
+      + VALUE_HEIGHT * numValues;
 
-  return Math.max(mainMinHeight, sidebarMinHeight);
+  // don't grow past the screen when lots of catalogs are enabled
+  let maxHeight = electron.screen.getPrimaryDisplay().workAreaSize.height;
+  return Math.min(maxHeight, Math.max(mainMinHeight, sidebarMinHeight));
 }
 
 
@@ -328,6 +554,59 @@ function setupMenus() {
     role: 'about'
   };
 
+  const palettesMenuItem = {
+    label: 'Palettes',
+    submenu: getCatalogs(readConfig(), app.getPath('home')).map(({id, title}) => ({
+      label: title,
+      type: 'checkbox',
+      checked: enabledCatalogIds.includes(id),
+      click: () => toggleCatalog(id),
+    })),
+  };
+
+  const profilesMenuItem = {
+    label: 'Profile',
+    submenu: [
+      ...getProfiles(app.getPath('home')).map(({id, title}) => ({
+        label: title,
+        type: 'checkbox',
+        checked: id === activeProfile,
+        click: () => selectProfile(id),
+      })),
+      SEPARATOR_MENU_ITEM,
+      {
+        label: 'Show Profiles Folder',
+        click: () => showProfilesFolder(),
+      },
+    ],
+  };
+
+  const importPaletteMenuItem = {
+    label: 'Import Palette…',
+    accelerator: 'Command+O',
+    click: () => importPaletteFiles(),
+  };
+
+  const exportPaletteMenuItem = {
+    label: 'Export Palette',
+    submenu: EXPORT_TARGETS.map(({id, title}) => ({
+      label: `${title}…`,
+      click: () => mainWindow.webContents.send('export-palette', id),
+    })),
+  };
+
+  const editPaletteMenuItem = {
+    label: 'Edit Palette…',
+    accelerator: 'Command+E',
+    click: () => showEditorWindow(),
+  };
+
+  const preferencesMenuItem = {
+    label: 'Preferences…',
+    accelerator: 'Command+,',
+    click: () => showPrefsWindow(),
+  };
+
   const quitMenuItem = {
     label: 'Quit',
     accelerator: 'Command+Q',
@@ -338,7 +617,13 @@ function setupMenus() {
     trayMenu = Menu.buildFromTemplate([
         showHideMenuItem,
         ...(IS_MAC ? [switchModeMacMenuItem] : []),
+        profilesMenuItem,
+        palettesMenuItem,
+        importPaletteMenuItem,
+        exportPaletteMenuItem,
+        editPaletteMenuItem,
         SEPARATOR_MENU_ITEM,
+        preferencesMenuItem,
         openAtLoginMenuItem,
         ...(IS_MAC ? [aboutMacMenuItem] : []),
         quitMenuItem]);
@@ -360,7 +645,13 @@ function setupMenus() {
           submenu: [
             showHideMenuItem,
             switchModeMacMenuItem,
+            profilesMenuItem,
+            palettesMenuItem,
+            importPaletteMenuItem,
+            exportPaletteMenuItem,
+            editPaletteMenuItem,
             SEPARATOR_MENU_ITEM,
+            preferencesMenuItem,
             openAtLoginMenuItem,
             aboutMacMenuItem,
             quitMenuItem
@@ -383,18 +674,48 @@ function readPrefs() {
       if (!uiMode && 'isTrayMode' in prefs) {
         uiMode = prefs.isTrayMode ? UI_MODES.TRAY : UI_MODES.NORMAL;
       }
+      if (prefs.catalogs && prefs.catalogs.length) {
+        enabledCatalogIds = prefs.catalogs;
+      }
+      if (prefs.profile && fs.existsSync(getConfigPath(app.getPath('home'), prefs.profile))) {
+        activeProfile = prefs.profile;
+      }
     }
   } catch (e) {}
+
+  dropUnavailableCatalogs();
+}
+
+
+// catalogs can come from the config, so some may be gone after editing it or
+// switching profiles; fall back to the defaults rather than showing no colors
+function dropUnavailableCatalogs() {
+  let availableIds = getCatalogs(readConfig(), app.getPath('home')).map(({id}) => id);
+  let catalogIds = enabledCatalogIds.filter(id => availableIds.includes(id));
+  enabledCatalogIds = catalogIds.length ? catalogIds : DEFAULT_CATALOG_IDS;
 }
 
 
 function writePrefs() {
   fs.writeFileSync(app.getPath('userData') + '/prefs.json', JSON.stringify({
-    uiMode
+    uiMode,
+    catalogs: enabledCatalogIds,
+    profile: activeProfile,
   }));
 }
 
 
+function readConfig() {
+  // the renderer reports problems with the config file, just skip bad entries here,
+  // and keep using the last config that loaded if it's mid-edit or mid-sync
+  let {config, readFailed} = loadConfig(app.getPath('home'), {profile: activeProfile});
+  if (!readFailed) {
+    lastGoodConfig = config;
+  }
+  return lastGoodConfig || config;
+}
+
+
 function checkForAppUpdates() {
   let packageInfo = require('./package.json');
 
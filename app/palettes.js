@@ -0,0 +1,137 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const {isDesignTokensFile, parseDesignTokens} = require('./tokens.js');
+const {parseJson, validateHues} = require('./validation.js');
+
+// A catalog is a named set of hues, shaped like colors.js
+const BUILT_IN_CATALOGS = [
+  {id: 'material2', title: 'Material 2', load: () => require('./colors.js')},
+  {id: 'material3', title: 'Material 3 Baseline', load: () => require('./colors-m3.js')},
+  {id: 'css', title: 'CSS Named Colors', load: () => require('./colors-css.js')},
+  {id: 'tailwind', title: 'Tailwind CSS', load: () => require('./colors-tailwind.js')},
+];
+
+const DEFAULT_CATALOG_IDS = ['material2', 'material3'];
+
+
+/**
+ * Resolves a path from a config file, which may start with ~ or be relative
+ * to the config file's directory (by default the home directory).
+ */
+function resolveConfigPath(filePath, homeDir, baseDir = homeDir) {
+  if (filePath.startsWith('~')) {
+    filePath = path.join(homeDir, filePath.substring(1));
+  }
+
+  return path.resolve(baseDir, filePath);
+}
+
+
+/**
+ * Returns the built-in catalogs followed by the user catalogs listed in the
+ * config file, e.g. "catalogs": [{"title": "Brand", "file": "~/brand-colors.json"}].
+ * User catalog files contain hues shaped like "extraColors", or design tokens
+ * (DTCG) for files named *.tokens.json or with "format": "dtcg".
+ */
+function getCatalogs(config, homeDir) {
+  let userCatalogs = ((config && config.catalogs) || []).map(({id, title, file, format}) => {
+    let filePath = resolveConfigPath(file, homeDir);
+    title = title || path.basename(filePath, path.extname(filePath)).replace(/\.tokens$/i, '');
+    return {
+      id: id || `user-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      title,
+      file: filePath,
+      displayFile: file, // as written in the config file
+      format: format || (isDesignTokensFile(filePath) ? 'dtcg' : null),
+    };
+  });
+
+  return [...BUILT_IN_CATALOGS, ...userCatalogs];
+}
+
+
+/**
+ * Loads and validates a catalog's hues, returning {hues, problems}. Catalogs
+ * that can't be read have no hues, and invalid entries are left out (see
+ * validateHues).
+ */
+function loadCatalog(catalog) {
+  let file = catalog.displayFile || catalog.title;
+  let hues = null;
+  let problems = [];
+  try {
+    if (catalog.load) {
+      hues = catalog.load();
+    } else {
+      let {data, problems: parseProblems} = parseJson(fs.readFileSync(catalog.file, 'utf8'), {file});
+      problems.push(...parseProblems);
+      if (data && catalog.format === 'dtcg') {
+        let result = parseDesignTokens(data, {file});
+        problems.push(...result.problems);
+        hues = result.hues;
+      } else {
+        hues = data;
+      }
+    }
+  } catch (e) {
+    problems.push({file, path: '', message: e.message});
+  }
+
+  if (!hues) {
+    return {hues: {}, problems};
+  }
+
+  let result = validateHues(hues, {file});
+  return {hues: result.hues, problems: [...problems, ...result.problems]};
+}
+
+
+/**
+ * Merges sections of hues ([{id, hues}, ...]) into a single object of hues
+ * for the sidebar, marking the first hue of each section with _startGroup.
+ * Hue names that were already used by an earlier section are prefixed with the
+ * section's id, e.g. 'tailwind-red'.
+ */
+function mergeColorSections(sections) {
+  let colors = {};
+  sections
+      .filter(({hues}) => hues && Object.keys(hues).length)
+      .forEach(({id, hues}, sectionIndex) => {
+        Object.keys(hues).forEach((hueName, hueIndex) => {
+          let key = (hueName in colors) ? `${id}-${hueName}` : hueName;
+          hues[hueName]._startGroup = (sectionIndex > 0 && hueIndex === 0);
+          colors[key] = hues[hueName];
+        });
+      });
+
+  return colors;
+}
+
+
+module.exports = {
+  BUILT_IN_CATALOGS,
+  DEFAULT_CATALOG_IDS,
+  resolveConfigPath,
+  getCatalogs,
+  loadCatalog,
+  mergeColorSections,
+};
@@ -0,0 +1,284 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const $ = require('jquery');
+const electron = require('electron');
+const tinycolor = require('tinycolor2');
+
+const {loadConfig, updateConfig, renderCopyFormat} = require('./color-core.js');
+const {isValidTransform, parseCopyFormat} = require('./formats.js');
+
+// colors to preview copy formats with
+const PREVIEW_SAMPLES = [
+  {
+    label: 'Light Blue A200',
+    value: {hueName: 'light-blue', valueName: 'a200', hex: '#40C4FF'},
+  },
+  {
+    label: 'Red 500 at 54% alpha',
+    value: {hueName: 'red', valueName: '500', hex: '#F44336', alpha: .54},
+  },
+  {
+    label: 'Brand Dark, in the Primary group',
+    value: {hueName: 'brand', groupName: 'primary', valueName: 'dark', hex: '#1967D2'},
+  },
+];
+
+const HELP_TEXT = `Placeholders: $HUE, $VALUE, $GROUP, $HEX, $HEX_NOHASH, $ARGB,
+    $R, $G, $B, $H, $S, $L, $ALPHA (0-100) and $ALPHA_DECIMAL (0-1).
+    Transforms like -x, _X or dXx change how names are written, for the whole
+    format or one placeholder, e.g. \${HUE|_x}. Sections like
+    \${?ALPHA}…\${/ALPHA} or \${!GROUP}…\${/GROUP} only show for colors with
+    (or without) alpha or a group.`;
+
+
+class CopyFormatsPrefs {
+  constructor() {
+    this._homeDir = electron.ipcRenderer.sendSync('get-home-directory');
+    this._profile = electron.ipcRenderer.sendSync('get-active-profile');
+    this._sample = PREVIEW_SAMPLES[0].value;
+    this._loadFormats();
+
+    this.CLASS_NAMES = {
+      addFormatButton: 'add-format-button',
+      formatButton: 'format-button',
+      formatDefault: 'format-default',
+      formatHelp: 'format-help',
+      formatInput: 'format-input',
+      formatList: 'format-list',
+      formatListEmpty: 'format-list-empty',
+      formatPreview: 'format-preview',
+      formatProblems: 'format-problems',
+      formatRow: 'format-row',
+      formatRowMain: 'format-row-main',
+      formatTransformInput: 'format-transform-input',
+      hasProblems: 'has-problems',
+      isDarkMode: 'is-dark-mode',
+      isWhite: 'is-white',
+      previewPicker: 'preview-picker',
+    };
+
+    this._init();
+  }
+
+  _init() {
+    $('body').toggleClass(this.CLASS_NAMES.isDarkMode,
+        !!document.location.search.includes('darkMode=true'));
+    electron.ipcRenderer.on('dark-mode-updated', (event, isDarkMode) =>
+        $('body').toggleClass(this.CLASS_NAMES.isDarkMode, isDarkMode));
+    electron.ipcRenderer.on('config-updated', () => {
+      // only on profile switches, other changes include our own saves
+      let profile = electron.ipcRenderer.sendSync('get-active-profile');
+      if (profile !== this._profile) {
+        this._profile = profile;
+        this._loadFormats();
+        this._buildFormatList();
+      }
+    });
+
+    this.$formatList = $(`.${this.CLASS_NAMES.formatList}`);
+
+    let $sampleSelect = $('<select>')
+        .on('change', () => {
+          this._sample = PREVIEW_SAMPLES[$sampleSelect.val()].value;
+          this._buildFormatList();
+        });
+    PREVIEW_SAMPLES.forEach(({label}, index) =>
+        $('<option>').attr('value', index).text(label).appendTo($sampleSelect));
+    $(`.${this.CLASS_NAMES.previewPicker}`)
+        .text('Preview with ')
+        .append($sampleSelect);
+
+    $(`.${this.CLASS_NAMES.addFormatButton}`).on('click', () => {
+      this._formats.push({format: '$HUE $VALUE', transform: 'Xx'});
+      this._buildFormatList();
+      this.$formatList.find(`.${this.CLASS_NAMES.formatInput}`).last().select();
+      this._save();
+    });
+
+    $(`.${this.CLASS_NAMES.formatHelp}`).text(HELP_TEXT);
+
+    this._buildFormatList();
+  }
+
+  _loadFormats() {
+    // included files' formats are added to these in the app, but aren't edited here
+    let {config} = loadConfig(this._homeDir, {profile: this._profile, includes: false});
+    // the file's own formats, the app falls back to the built-in one if there are none
+    let copyFormats = config.copyFormats || [];
+    // copies without the default flag, which is tracked separately
+    this._formats = copyFormats.map(({default: _, ...format}) => format);
+    this._defaultIndex = Math.max(0, copyFormats.findIndex(format => format.default));
+  }
+
+  _buildFormatList() {
+    this.$formatList.empty();
+    this._formats.forEach((format, index) => this._buildFormatRow(format, index));
+
+    if (!this._formats.length) {
+      $('<div>')
+          .addClass(this.CLASS_NAMES.formatListEmpty)
+          .text('No formats, names are copied like "Light Blue A200"')
+          .appendTo(this.$formatList);
+    }
+  }
+
+  _buildFormatRow(format, index) {
+    let $row = $('<div>')
+        .addClass(this.CLASS_NAMES.formatRow)
+        .appendTo(this.$formatList);
+
+    let $main = $('<div>')
+        .addClass(this.CLASS_NAMES.formatRowMain)
+        .appendTo($row);
+
+    $('<input type="radio" name="default">')
+        .addClass(this.CLASS_NAMES.formatDefault)
+        .attr('title', 'Copy this format when clicking a color\'s name')
+        .prop('checked', index === this._defaultIndex)
+        .on('change', () => {
+          this._defaultIndex = index;
+          this._save();
+        })
+        .appendTo($main);
+
+    $('<input type="text">')
+        .addClass(this.CLASS_NAMES.formatInput)
+        .attr('placeholder', '$HUE $VALUE')
+        .attr('spellcheck', 'false')
+        .val(format.format)
+        .on('input', event => {
+          format.format = event.target.value;
+          this._updatePreview($row, format);
+        })
+        .on('change', () => this._save())
+        .appendTo($main);
+
+    $('<input type="text">')
+        .addClass(this.CLASS_NAMES.formatTransformInput)
+        .attr('placeholder', 'transform')
+        .attr('title', 'How names are written, e.g. -x, _X or dXx')
+        .attr('spellcheck', 'false')
+        .val(format.transform || '')
+        .on('input', event => {
+          format.transform = event.target.value.trim();
+          if (!format.transform) {
+            delete format.transform;
+          }
+          this._updatePreview($row, format);
+        })
+        .on('change', () => this._save())
+        .appendTo($main);
+
+    let buttons = [
+      {label: '↑', title: 'Move up', enabled: index > 0, click: () => this._moveFormat(index, -1)},
+      {label: '↓', title: 'Move down', enabled: index < this._formats.length - 1,
+          click: () => this._moveFormat(index, 1)},
+      {label: '×', title: 'Delete', enabled: true, click: () => this._deleteFormat(index)},
+    ];
+    for (let {label, title, enabled, click} of buttons) {
+      $('<button>')
+          .addClass(this.CLASS_NAMES.formatButton)
+          .text(label)
+          .attr('title', title)
+          .prop('disabled', !enabled)
+          .on('click', click)
+          .appendTo($main);
+    }
+
+    let sampleColor = tinycolor(this._sample.hex).setAlpha(this._sample.alpha || 1);
+    $('<div>')
+        .addClass(this.CLASS_NAMES.formatPreview)
+        .toggleClass(this.CLASS_NAMES.isWhite,
+            sampleColor.getAlpha() >= .5 && sampleColor.isDark())
+        .css('background-color', sampleColor.toRgbString())
+        .appendTo($row);
+
+    $('<div>')
+        .addClass(this.CLASS_NAMES.formatProblems)
+        .appendTo($row);
+
+    this._updatePreview($row, format);
+  }
+
+  _updatePreview($row, format) {
+    let problems = parseCopyFormat(format.format).problems;
+    if (format.transform && !isValidTransform(format.transform)) {
+      problems.push(`unknown transform "${format.transform}"`);
+    }
+
+    $row.toggleClass(this.CLASS_NAMES.hasProblems, !!problems.length);
+    $row.find(`.${this.CLASS_NAMES.formatProblems}`).text(problems.join(', '));
+    $row.find(`.${this.CLASS_NAMES.formatPreview}`)
+        .text(renderCopyFormat(format, {...this._sample}) || ' ');
+  }
+
+  _moveFormat(index, delta) {
+    let [format] = this._formats.splice(index, 1);
+    this._formats.splice(index + delta, 0, format);
+    if (this._defaultIndex === index) {
+      this._defaultIndex = index + delta;
+    } else if (this._defaultIndex === index + delta) {
+      this._defaultIndex = index;
+    }
+
+    this._buildFormatList();
+    this._save();
+  }
+
+  _deleteFormat(index) {
+    this._formats.splice(index, 1);
+    if (this._defaultIndex === index) {
+      this._defaultIndex = 0;
+    } else if (this._defaultIndex > index) {
+      this._defaultIndex--;
+    }
+
+    this._buildFormatList();
+    this._save();
+  }
+
+  _save() {
+    if (this._formats.some(({transform}) => transform && !isValidTransform(transform))) {
+      // wait until it's fixed, the app would drop it anyway
+      return;
+    }
+
+    // the first format is the default unless another one is marked
+    let copyFormats = this._formats.map((format, index) =>
+        (index === this._defaultIndex && index > 0) ? {...format, default: true} : format);
+
+    try {
+      updateConfig(this._homeDir, config => {
+        if (copyFormats.length) {
+          config.copyFormats = copyFormats;
+        } else {
+          // back to the built-in format
+          delete config.copyFormats;
+        }
+      }, {profile: this._profile});
+    } catch (e) {
+      electron.remote.dialog.showErrorBox('Couldn\'t save copy formats', e.message);
+      return;
+    }
+
+    electron.ipcRenderer.send('config-updated');
+  }
+} // class CopyFormatsPrefs
+
+new CopyFormatsPrefs();
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {Hct, argbFromHex, hexFromArgb} = require('./hct.js');
+
+// [value name, HCT tone, chroma relative to the 500 value], the medians over
+// the chromatic Material 2 hues in colors.js
+const RAMP_STEPS = [
+  ['50', 95.3, 0.16],
+  ['100', 88.3, 0.35],
+  ['200', 81.1, 0.56],
+  ['300', 74.3, 0.76],
+  ['400', 69.0, 0.90],
+  ['500', 64.0, 1.00],
+  ['600', 58.8, 0.97],
+  ['700', 53.8, 0.94],
+  ['800', 48.1, 0.89],
+  ['900', 36.5, 0.90],
+];
+
+const ACCENT_STEPS = [
+  ['a100', 86.2, 0.79],
+  ['a200', 76.5, 1.10],
+  ['a400', 70.5, 1.20],
+  ['a700', 63.5, 1.22],
+];
+
+// Material 2 500 values range from tone ~35 (indigo) to ~90 (yellow), so
+// colors in this range become the 500 value
+const MIN_500_TONE = 35;
+const MAX_500_TONE = 85;
+
+// grays have a little HCT chroma from rounding (white has ~3), which would be
+// scaled up into a colored ramp, so inputs below this get a gray ramp
+const MIN_CHROMA = 5;
+
+
+/**
+ * Generates a Material 2 style ramp (50-900 and A100-A700) containing the
+ * given color. The color usually becomes the 500 value, but very light or
+ * dark colors are placed at the value whose tone is closest to their own.
+ *
+ * Returns {anchorValueName, ramp}, where ramp is shaped like a hue in colors.js.
+ */
+function generateRamp(hex) {
+  hex = hexFromArgb(argbFromHex(hex));
+  let input = Hct.fromHex(hex);
+
+  let anchor = RAMP_STEPS.find(([valueName]) => valueName === '500');
+  if (input.tone < MIN_500_TONE || input.tone > MAX_500_TONE) {
+    anchor = RAMP_STEPS.reduce((best, step) =>
+        (Math.abs(step[1] - input.tone) < Math.abs(best[1] - input.tone)) ? step : best);
+  }
+
+  let [anchorValueName, anchorTone, anchorChromaRatio] = anchor;
+  let baseChroma = (input.chroma < MIN_CHROMA) ? 0 : input.chroma / anchorChromaRatio;
+
+  // stretch the reference tones so the anchor lands on the input color's tone,
+  // lighter values towards white and darker values towards black
+  let toneFor = tone => (tone >= anchorTone)
+      ? 100 - (100 - tone) * (100 - input.tone) / (100 - anchorTone)
+      : tone * input.tone / anchorTone;
+
+  let ramp = {};
+  for (let [valueName, tone, chromaRatio] of [...RAMP_STEPS, ...ACCENT_STEPS]) {
+    ramp[valueName] = {
+      hex: (valueName === anchorValueName)
+          ? hex
+          : Hct.from(input.hue, baseChroma * chromaRatio, toneFor(tone)).toHex(),
+    };
+  }
+
+  return {anchorValueName, ramp};
+}
+
+
+module.exports = {
+  generateRamp,
+};
@@ -0,0 +1,92 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {Hct, TonalPalette} = require('./hct.js');
+
+// Material 3 color roles: [role, key palette, light theme tone, dark theme tone]
+const SCHEME_ROLES = [
+  ['primary', 'primary', 40, 80],
+  ['onPrimary', 'primary', 100, 20],
+  ['primaryContainer', 'primary', 90, 30],
+  ['onPrimaryContainer', 'primary', 10, 90],
+  ['secondary', 'secondary', 40, 80],
+  ['onSecondary', 'secondary', 100, 20],
+  ['secondaryContainer', 'secondary', 90, 30],
+  ['onSecondaryContainer', 'secondary', 10, 90],
+  ['tertiary', 'tertiary', 40, 80],
+  ['onTertiary', 'tertiary', 100, 20],
+  ['tertiaryContainer', 'tertiary', 90, 30],
+  ['onTertiaryContainer', 'tertiary', 10, 90],
+  ['error', 'error', 40, 80],
+  ['onError', 'error', 100, 20],
+  ['errorContainer', 'error', 90, 30],
+  ['onErrorContainer', 'error', 10, 90],
+  ['background', 'neutral', 99, 10],
+  ['onBackground', 'neutral', 10, 90],
+  ['surface', 'neutral', 99, 10],
+  ['onSurface', 'neutral', 10, 90],
+  ['surfaceVariant', 'neutralVariant', 90, 30],
+  ['onSurfaceVariant', 'neutralVariant', 30, 80],
+  ['outline', 'neutralVariant', 50, 60],
+  ['outlineVariant', 'neutralVariant', 80, 30],
+  ['shadow', 'neutral', 0, 0],
+  ['scrim', 'neutral', 0, 0],
+  ['inverseSurface', 'neutral', 20, 90],
+  ['inverseOnSurface', 'neutral', 95, 20],
+  ['inversePrimary', 'primary', 80, 40],
+];
+
+
+/**
+ * Returns the key tonal palettes (primary, secondary, tertiary, neutral,
+ * neutralVariant and error) for the given seed color.
+ */
+function corePalettes(seedHex) {
+  let {hue, chroma} = Hct.fromHex(seedHex);
+  return {
+    primary: new TonalPalette(hue, Math.max(48, chroma)),
+    secondary: new TonalPalette(hue, 16),
+    tertiary: new TonalPalette(hue + 60, 24),
+    neutral: new TonalPalette(hue, 4),
+    neutralVariant: new TonalPalette(hue, 8),
+    error: new TonalPalette(25, 84),
+  };
+}
+
+
+/**
+ * Generates the Material 3 light and dark color schemes for the given seed
+ * color, e.g. {light: {primary: '#6750A4', ...}, dark: {primary: '#D0BCFF', ...}}
+ */
+function generateScheme(seedHex) {
+  let palettes = corePalettes(seedHex);
+  let scheme = {light: {}, dark: {}};
+  for (let [role, palette, lightTone, darkTone] of SCHEME_ROLES) {
+    scheme.light[role] = palettes[palette].toneHex(lightTone);
+    scheme.dark[role] = palettes[palette].toneHex(darkTone);
+  }
+
+  return scheme;
+}
+
+
+module.exports = {
+  SCHEME_ROLES,
+  corePalettes,
+  generateScheme,
+};
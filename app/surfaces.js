@@ -0,0 +1,67 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const tinycolor = require('tinycolor2');
+
+const {compositeOver} = require('./contrast.js');
+
+// Material's dark theme surface, which gets lighter as it's raised by
+// overlaying white (see https://material.io/design/color/dark-theme.html)
+const DARK_SURFACE_COLOR = '#121212';
+
+// elevations (dp) and the opacity of the white overlay at each
+const ELEVATION_OVERLAYS = [
+  {dp: 0, alpha: 0},
+  {dp: 1, alpha: .05},
+  {dp: 2, alpha: .07},
+  {dp: 3, alpha: .08},
+  {dp: 4, alpha: .09},
+  {dp: 6, alpha: .11},
+  {dp: 8, alpha: .12},
+  {dp: 12, alpha: .14},
+  {dp: 16, alpha: .15},
+  {dp: 24, alpha: .16},
+];
+
+
+/**
+ * Returns the white overlay for an elevation, as a translucent tinycolor.
+ * Elevations between the listed ones use the next lower one's overlay.
+ */
+function getElevationOverlay(dp) {
+  let overlay = ELEVATION_OVERLAYS.filter(overlay => overlay.dp <= dp).pop() || ELEVATION_OVERLAYS[0];
+  return tinycolor('#fff').setAlpha(overlay.alpha);
+}
+
+
+/**
+ * Returns the dark theme surface color at an elevation, as an opaque
+ * tinycolor.
+ */
+function getElevatedSurfaceColor(dp) {
+  return compositeOver(getElevationOverlay(dp), DARK_SURFACE_COLOR);
+}
+
+
+module.exports = {
+  DARK_SURFACE_COLOR,
+  ELEVATION_OVERLAYS,
+  getElevationOverlay,
+  getElevatedSurfaceColor,
+};
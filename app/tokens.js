@@ -0,0 +1,296 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const tinycolor = require('tinycolor2');
+
+// Design Tokens Community Group format, see https://design-tokens.github.io/community-group/format/
+const ALIAS_REGEX = /^\{([^{}]+)\}$/;
+
+
+/**
+ * Returns whether the given file name looks like a DTCG tokens file.
+ */
+function isDesignTokensFile(fileName) {
+  return !!fileName.match(/\.tokens(\.json)?$/i);
+}
+
+
+/**
+ * Converts a DTCG tokens document into hues shaped like "extraColors". Each
+ * top-level group becomes a hue: its color tokens become values and its
+ * subgroups become _groups. A single top-level group that only contains
+ * groups (e.g. "color") is unwrapped first.
+ *
+ * Colors carry their token path ('token') and, for aliases, the path of the
+ * token they reference ('aliasOf'), so they can be exported again. Token
+ * descriptions become the colors' notes ('note').
+ *
+ * Returns {hues, problems}, where problems ([{file, path, message}]) describe
+ * color tokens that were left out, e.g. aliases of tokens that don't exist.
+ */
+function parseDesignTokens(doc, {file} = {}) {
+  let tokens = collectColorTokens(doc);
+  let resolve = path => resolveToken(tokens, path, []);
+
+  let root = doc;
+  let rootPath = [];
+  let isGroupOfGroups = node => !isToken(node) && childKeys(node).every(key => !isToken(node[key]));
+  while (childKeys(root).length === 1 && isGroupOfGroups(root[childKeys(root)[0]])) {
+    rootPath.push(childKeys(root)[0]);
+    root = root[rootPath[rootPath.length - 1]];
+  }
+
+  let topLevelKeys = childKeys(root);
+
+  let hues = {};
+  let ungrouped = [];
+  for (let key of topLevelKeys) {
+    let path = [...rootPath, key];
+    if (isToken(root[key])) {
+      let color = tokens[path.join('.')] && colorForToken(path, root[key], resolve);
+      color && ungrouped.push({name: key, ...color});
+      continue;
+    }
+
+    let hue = {};
+    let groups = [];
+    collectHueColors(root[key], path, [], hue, groups, tokens, resolve);
+    // use a color from the middle of ramps for the sidebar
+    let colors = [...Object.values(hue), ...[].concat(...groups.map(g => g.colors))];
+    if (!colors.length) {
+      continue;
+    }
+
+    let selectorHex = colors[Math.floor((colors.length - 1) / 2)].hex;
+    hues[slugify(key)] = {
+      _selectorLight: selectorHex,
+      _selectorDark: selectorHex,
+      ...hue,
+      ...(groups.length ? {_groups: groups} : {}),
+    };
+  }
+
+  if (ungrouped.length) {
+    hues[slugify(rootPath[rootPath.length - 1] || 'tokens')] = {
+      _selectorLight: ungrouped[0].hex,
+      _selectorDark: ungrouped[0].hex,
+      _groups: [{colors: ungrouped}],
+    };
+  }
+
+  let problems = Object.keys(tokens)
+      .map(path => ({file, path, message: resolve(path).problem}))
+      .filter(({message}) => !!message);
+
+  return {hues, problems};
+}
+
+
+function collectHueColors(group, huePath, groupPath, hue, groups, tokens, resolve) {
+  // added up front so subgroups are listed after the group they're in
+  let groupColors = {title: groupPath.join(' / '), colors: []};
+  if (groupPath.length) {
+    groups.push(groupColors);
+  }
+
+  for (let key of childKeys(group)) {
+    let path = [...huePath, ...groupPath, key];
+    if (!isToken(group[key])) {
+      collectHueColors(group[key], huePath, [...groupPath, key], hue, groups, tokens, resolve);
+      continue;
+    }
+
+    let color = tokens[path.join('.')] && colorForToken(path, group[key], resolve);
+    if (!color) {
+      continue;
+    }
+
+    if (groupPath.length) {
+      groupColors.colors.push({name: key, ...color});
+    } else {
+      hue[key] = color;
+    }
+  }
+
+  if (groupPath.length && !groupColors.colors.length) {
+    groups.splice(groups.indexOf(groupColors), 1);
+  }
+}
+
+
+function colorForToken(path, token, resolve) {
+  let resolved = resolve(path.join('.'));
+  if (resolved.problem) {
+    return null;
+  }
+
+  let color = {hex: resolved.hex, token: path.join('.')};
+  if (resolved.alpha < 1) {
+    color.alpha = resolved.alpha;
+  }
+  if (resolved.aliasOf) {
+    color.aliasOf = resolved.aliasOf;
+  }
+  if (typeof token.$description === 'string' && token.$description) {
+    color.note = token.$description;
+  }
+
+  return color;
+}
+
+
+// returns a map of token paths (a.b.c) to {$value, $type} for color tokens,
+// with $type inherited from parent groups
+function collectColorTokens(doc) {
+  let tokens = {};
+  let visit = (node, path, inheritedType) => {
+    let type = node.$type || inheritedType;
+    if (isToken(node)) {
+      let isAlias = typeof node.$value === 'string' && node.$value.match(ALIAS_REGEX);
+      if (type === 'color' || (!type && (isAlias || parseTokenColor(node.$value)))) {
+        tokens[path.join('.')] = {$value: node.$value, $type: type};
+      }
+      return;
+    }
+
+    for (let key of childKeys(node)) {
+      visit(node[key], [...path, key], type);
+    }
+  };
+
+  visit(doc, [], null);
+  return tokens;
+}
+
+
+// follows alias chains, returning {hex, alpha, aliasOf} where aliasOf is the
+// directly referenced token, or {problem} for unknown or circular references
+// and values that aren't colors
+function resolveToken(tokens, path, seen) {
+  let token = tokens[path];
+  let m = (typeof token.$value === 'string') && token.$value.match(ALIAS_REGEX);
+  if (!m) {
+    let color = parseTokenColor(token.$value);
+    return color
+        ? {hex: color.toHexString().toUpperCase(), alpha: color.getAlpha()}
+        : {problem: `${JSON.stringify(token.$value)} isn't a color`};
+  }
+
+  let aliasOf = m[1];
+  if (aliasOf === path || seen.includes(aliasOf)) {
+    return {problem: `circular alias: ${[...seen, path, aliasOf].join(' → ')}`};
+  } else if (!tokens[aliasOf]) {
+    return {problem: `{${aliasOf}} isn't a color token`};
+  }
+
+  let resolved = resolveToken(tokens, aliasOf, [...seen, path]);
+  return resolved.problem ? resolved : {...resolved, aliasOf};
+}
+
+
+// color values are CSS color strings, or objects like
+// {"colorSpace": "srgb", "components": [1, 0, 0], "alpha": 1, "hex": "#ff0000"}
+function parseTokenColor(value) {
+  let color = null;
+  if (typeof value === 'string') {
+    color = tinycolor(value);
+  } else if (value && typeof value === 'object') {
+    if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+      let [r, g, b] = value.components.map(c => c * 255);
+      color = tinycolor({r, g, b, a: ('alpha' in value) ? value.alpha : 1});
+    } else if (value.hex) {
+      color = tinycolor(value.hex).setAlpha(('alpha' in value) ? value.alpha : 1);
+    }
+  }
+
+  return (color && color.isValid()) ? color : null;
+}
+
+
+/**
+ * Renders export hues (see getExportHues in exporters.js) as a DTCG tokens
+ * document. Aliases are kept when the color they reference is exported too,
+ * and notes become descriptions.
+ */
+function renderDesignTokens(hues, transformName = name => name) {
+  // token and group names can't contain these
+  let nameFor = name => transformName(name).replace(/[.{}$]/g, '-');
+
+  let doc = {};
+  let exportedPaths = {};
+  let entries = [];
+
+  for (let {hueName, values} of hues) {
+    let hueGroup = doc[nameFor(hueName)] = {$type: 'color'};
+    for (let value of values) {
+      // nested groups come from tokens files, as 'Group / Subgroup'
+      let groupNames = value.groupName ? value.groupName.split(' / ') : [];
+      let parent = hueGroup;
+      for (let groupName of groupNames) {
+        parent = parent[nameFor(groupName)] = parent[nameFor(groupName)] || {};
+      }
+
+      let path = [hueName, ...groupNames, value.valueName].map(nameFor);
+      let token = parent[path[path.length - 1]] = {};
+      entries.push({token, value});
+      if (value.token) {
+        exportedPaths[value.token] = path.join('.');
+      }
+    }
+  }
+
+  for (let {token, value} of entries) {
+    let color = tinycolor(value.hex);
+    if (value.alpha !== undefined && value.alpha !== null) {
+      color.setAlpha(value.alpha);
+    }
+
+    token.$value = (value.aliasOf && exportedPaths[value.aliasOf])
+        ? `{${exportedPaths[value.aliasOf]}}`
+        : ((color.getAlpha() < 1) ? color.toHex8String() : color.toHexString()).toUpperCase();
+    if (value.note) {
+      token.$description = value.note;
+    }
+  }
+
+  return JSON.stringify(doc, null, 2) + '\n';
+}
+
+
+function isToken(node) {
+  return !!node && typeof node === 'object' && '$value' in node;
+}
+
+
+// group keys, skipping $type, $description etc.
+function childKeys(node) {
+  return Object.keys(node || {}).filter(key =>
+      !key.startsWith('$') && node[key] && typeof node[key] === 'object');
+}
+
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tokens';
+}
+
+
+module.exports = {
+  isDesignTokensFile,
+  parseDesignTokens,
+  renderDesignTokens,
+};
@@ -0,0 +1,455 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const {isValidTransform, parseCopyFormat} = require('./formats.js');
+
+// Validators return a cleaned up copy of what they're given, with bad entries
+// left out, and a list of problems: [{file, path, message}]
+
+const HEX_REGEX = /^#[0-9a-f]{6}$/i;
+const SHORT_HEX_REGEX = /^#[0-9a-f]{3}$/i;
+const HUE_NAME_REGEX = /^[a-z0-9_-]+$/i; // hue names end up in CSS class names
+const HUE_KEYS = ['_selectorLight', '_selectorDark', '_groups', '_startGroup'];
+
+
+/**
+ * Validates hues shaped like colors.js or "extraColors". Hues with bad names or
+ * no usable colors, colors with bad hex values and duplicate names in a group
+ * are skipped. Missing selector colors fall back to the hue's first color.
+ */
+function validateHues(hues, {file, path = []}) {
+  let problems = [];
+  let problem = (subpath, message) => problems.push({file, path: formatPath(subpath), message});
+
+  if (!isObject(hues)) {
+    problem(path, 'should be an object of hues');
+    return {hues: {}, problems};
+  }
+
+  let validHues = {};
+  for (let hueName of Object.keys(hues)) {
+    let hue = hues[hueName];
+    let huePath = [...path, hueName];
+    if (!HUE_NAME_REGEX.test(hueName)) {
+      problem(huePath, 'hue names can only contain letters, numbers, - and _');
+      continue;
+    } else if (!isObject(hue)) {
+      problem(huePath, 'should be an object of colors');
+      continue;
+    }
+
+    let validHue = {};
+    for (let key of Object.keys(hue)) {
+      if (key.startsWith('_')) {
+        if (!HUE_KEYS.includes(key)) {
+          problem([...huePath, key], 'unknown key');
+        }
+        continue;
+      }
+
+      let color = validateColor(hue[key], [...huePath, key], problem);
+      if (color) {
+        validHue[key] = color;
+      }
+    }
+
+    if (hue._groups !== undefined) {
+      if (!Array.isArray(hue._groups)) {
+        problem([...huePath, '_groups'], 'should be a list of groups');
+      } else {
+        validHue._groups = validateGroups(hue._groups, [...huePath, '_groups'], problem);
+      }
+    }
+
+    let firstColor = Object.values(validHue).find(value => value.hex)
+        || [].concat(...(validHue._groups || []).map(group => group.colors))[0];
+    if (!firstColor) {
+      problem(huePath, 'has no valid colors');
+      continue;
+    }
+
+    // the sidebar falls back to the 500 and 300 values
+    for (let [key, fallbackValueName] of [['_selectorLight', '500'], ['_selectorDark', '300']]) {
+      if (hue[key] !== undefined) {
+        let hex = normalizeHex(hue[key]);
+        if (hex) {
+          validHue[key] = hex;
+          continue;
+        }
+
+        problem([...huePath, key], `"${hue[key]}" isn't a valid hex color`);
+      } else if (validHue[fallbackValueName]) {
+        continue;
+      } else {
+        problem(huePath, `needs ${key} or a "${fallbackValueName}" color`);
+      }
+
+      validHue[key] = (validHue[fallbackValueName] || firstColor).hex;
+    }
+
+    validHues[hueName] = validHue;
+  }
+
+  return {hues: validHues, problems};
+}
+
+
+function validateGroups(groups, path, problem) {
+  let validGroups = [];
+  groups.forEach((group, groupIndex) => {
+    let groupPath = [...path, groupIndex];
+    if (!isObject(group) || !Array.isArray(group.colors)) {
+      problem(groupPath, 'should be an object with a list of colors');
+      return;
+    } else if (group.title !== undefined && typeof group.title !== 'string') {
+      problem([...groupPath, 'title'], 'should be a string');
+      return;
+    }
+
+    let names = new Set();
+    let colors = [];
+    group.colors.forEach((color, colorIndex) => {
+      let colorPath = [...groupPath, 'colors', colorIndex];
+      if (!isObject(color) || typeof color.name !== 'string' || !color.name) {
+        problem(colorPath, 'needs a name');
+        return;
+      } else if (names.has(color.name)) {
+        problem(colorPath, `duplicate name "${color.name}"`);
+        return;
+      }
+
+      let validColor = validateColor(color, colorPath, problem);
+      if (validColor) {
+        names.add(color.name);
+        colors.push(validColor);
+      }
+    });
+
+    if (colors.length) {
+      validGroups.push({...group, colors});
+    }
+  });
+
+  return validGroups;
+}
+
+
+function validateColor(color, path, problem) {
+  if (!isObject(color)) {
+    problem(path, 'should be an object like {"hex": "#RRGGBB"}');
+    return null;
+  }
+
+  let hex = normalizeHex(color.hex);
+  if (!hex) {
+    problem([...path, 'hex'], (color.hex === undefined)
+        ? 'missing hex'
+        : `"${color.hex}" isn't a valid hex color`);
+    return null;
+  }
+
+  if (color.alpha !== undefined
+      && (typeof color.alpha !== 'number' || color.alpha < 0 || color.alpha > 1)) {
+    problem([...path, 'alpha'], 'should be a number from 0 to 1');
+    let {alpha, ...rest} = color;
+    return {...rest, hex};
+  }
+
+  if (color.note !== undefined && typeof color.note !== 'string') {
+    problem([...path, 'note'], 'should be a string');
+    let {note, ...rest} = color;
+    return {...rest, hex};
+  }
+
+  return {...color, hex};
+}
+
+
+// accepts #RGB too, since it's easy to type, but the app expects #RRGGBB
+function normalizeHex(hex) {
+  if (typeof hex !== 'string') {
+    return null;
+  } else if (HEX_REGEX.test(hex)) {
+    return hex;
+  } else if (SHORT_HEX_REGEX.test(hex)) {
+    return '#' + hex.substring(1).split('').map(c => c + c).join('');
+  }
+
+  return null;
+}
+
+
+/**
+ * Validates the config file's contents, leaving out includes, copy formats,
+ * catalogs and extra colors that can't be used and settings with invalid
+ * values.
+ */
+function validateConfig(config, {file}) {
+  let problems = [];
+  let problem = (path, message) => problems.push({file, path: formatPath(path), message});
+
+  if (!isObject(config)) {
+    problem([], 'should be an object');
+    return {config: {}, problems};
+  }
+
+  let validConfig = {...config};
+
+  if (config.include !== undefined) {
+    if (!Array.isArray(config.include)) {
+      problem(['include'], 'should be a list of files');
+      delete validConfig.include;
+    } else {
+      validConfig.include = config.include.filter((file, index) => {
+        if (typeof file !== 'string' || !file) {
+          problem(['include', index], 'should be a file path');
+          return false;
+        }
+        return true;
+      });
+    }
+  }
+
+  if (config.copyFormats !== undefined) {
+    if (!Array.isArray(config.copyFormats)) {
+      problem(['copyFormats'], 'should be a list');
+      delete validConfig.copyFormats;
+    } else {
+      validConfig.copyFormats = [];
+      config.copyFormats.forEach((format, index) => {
+        if (!isObject(format) || typeof format.format !== 'string') {
+          problem(['copyFormats', index], 'needs a format string');
+          return;
+        }
+
+        // parts of the template that can't be understood are copied as they are
+        parseCopyFormat(format.format).problems.forEach(message =>
+            problem(['copyFormats', index, 'format'], message));
+
+        if (format.transform && !isValidTransform(format.transform)) {
+          problem(['copyFormats', index, 'transform'], `unknown transform "${format.transform}"`);
+          let {transform, ...rest} = format;
+          format = rest;
+        }
+
+        if (format.default !== undefined && typeof format.default !== 'boolean') {
+          problem(['copyFormats', index, 'default'], 'should be true or false');
+          let {default: _, ...rest} = format;
+          format = rest;
+        } else if (format.default && validConfig.copyFormats.some(({default: isDefault}) => isDefault)) {
+          problem(['copyFormats', index, 'default'], 'only one copy format can be the default');
+          format = {...format, default: false};
+        }
+
+        validConfig.copyFormats.push(format);
+      });
+    }
+  }
+
+  if (config.exportTransforms !== undefined) {
+    if (!isObject(config.exportTransforms)) {
+      problem(['exportTransforms'], 'should be an object');
+      delete validConfig.exportTransforms;
+    } else {
+      validConfig.exportTransforms = {};
+      for (let targetId of Object.keys(config.exportTransforms)) {
+        if (isValidTransform(config.exportTransforms[targetId])) {
+          validConfig.exportTransforms[targetId] = config.exportTransforms[targetId];
+        } else {
+          problem(['exportTransforms', targetId],
+              `unknown transform "${config.exportTransforms[targetId]}"`);
+        }
+      }
+    }
+  }
+
+  if (config.catalogs !== undefined) {
+    if (!Array.isArray(config.catalogs)) {
+      problem(['catalogs'], 'should be a list');
+      delete validConfig.catalogs;
+    } else {
+      validConfig.catalogs = config.catalogs.filter((catalog, index) => {
+        if (!isObject(catalog) || typeof catalog.file !== 'string') {
+          problem(['catalogs', index], 'needs a file');
+          return false;
+        }
+        return true;
+      });
+    }
+  }
+
+  if (config.similarColors !== undefined) {
+    let {count, maxDeltaE} = isObject(config.similarColors) ? config.similarColors : {};
+    let validSimilarColors = {};
+    if (!isObject(config.similarColors)) {
+      problem(['similarColors'], 'should be an object');
+    }
+    if (count !== undefined) {
+      if (Number.isInteger(count) && count >= 0) {
+        validSimilarColors.count = count;
+      } else {
+        problem(['similarColors', 'count'], 'should be a whole number');
+      }
+    }
+    if (maxDeltaE !== undefined) {
+      if (typeof maxDeltaE === 'number' && maxDeltaE >= 0) {
+        validSimilarColors.maxDeltaE = maxDeltaE;
+      } else {
+        problem(['similarColors', 'maxDeltaE'], 'should be a positive number');
+      }
+    }
+    validConfig.similarColors = validSimilarColors;
+  }
+
+  if (config.extraColors !== undefined) {
+    let result = validateHues(config.extraColors, {file, path: ['extraColors']});
+    validConfig.extraColors = result.hues;
+    problems.push(...result.problems);
+  }
+
+  return {config: validConfig, problems};
+}
+
+
+/**
+ * Reads and validates the config file, returning {config, problems}. A missing
+ * or empty file is an empty config. readFailed is set when the file couldn't
+ * be read or parsed at all, as opposed to having some bad entries.
+ */
+function loadConfigFile(filePath, {file}) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return {config: {}, problems: []};
+    }
+
+    return {config: {}, problems: [{file, path: '', message: e.message}], readFailed: true};
+  }
+
+  if (!text.trim()) {
+    return {config: {}, problems: []};
+  }
+
+  let {data, problems} = parseJson(text, {file});
+  if (data === null) {
+    return {config: {}, problems, readFailed: true};
+  }
+
+  let result = validateConfig(data, {file});
+  return {config: result.config, problems: [...problems, ...result.problems]};
+}
+
+
+/**
+ * Parses JSON, describing syntax errors with a line and column, and reporting
+ * keys that appear more than once in an object (JSON.parse keeps the last one).
+ */
+function parseJson(text, {file}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    let m = e.message.match(/at position (\d+)/);
+    let message = e.message;
+    if (m) {
+      let lines = text.substring(0, Number(m[1])).split('\n');
+      message = `${e.message.replace(/ in JSON at position \d+/, '')} `
+          + `(line ${lines.length}, column ${lines[lines.length - 1].length + 1})`;
+    }
+
+    return {data: null, problems: [{file, path: '', message}]};
+  }
+
+  let problems = findDuplicateKeys(text).map(path =>
+      ({file, path: formatPath(path), message: 'duplicate key, only the last one is used'}));
+  return {data, problems};
+}
+
+
+// scans JSON text for duplicate object keys, returning their paths
+function findDuplicateKeys(text) {
+  let duplicates = [];
+  let stack = []; // {keys, key} for objects, {index} for arrays
+  let expectKey = false;
+  for (let i = 0; i < text.length; i++) {
+    let c = text[i];
+    let top = stack[stack.length - 1];
+    if (c === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += (text[end] === '\\') ? 2 : 1;
+      }
+
+      if (expectKey && top && top.keys) {
+        let key = JSON.parse(text.substring(i, end + 1));
+        if (top.keys.has(key)) {
+          let path = stack.slice(0, -1).map(entry => entry.keys ? entry.key : entry.index);
+          duplicates.push([...path, key]);
+        }
+        top.keys.add(key);
+        top.key = key;
+        expectKey = false;
+      }
+      i = end;
+    } else if (c === '{') {
+      stack.push({keys: new Set(), key: null});
+      expectKey = true;
+    } else if (c === '[') {
+      stack.push({index: 0});
+    } else if (c === '}' || c === ']') {
+      stack.pop();
+    } else if (c === ',' && top) {
+      if (top.keys) {
+        expectKey = true;
+      } else {
+        top.index++;
+      }
+    }
+  }
+
+  return duplicates;
+}
+
+
+/**
+ * Formats a path like ['extraColors', 'brand', '_groups', 0] as
+ * 'extraColors.brand._groups[0]'.
+ */
+function formatPath(path) {
+  return path.map((part, index) => (typeof part === 'number')
+      ? `[${part}]`
+      : `${index ? '.' : ''}${part}`).join('');
+}
+
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+
+module.exports = {
+  validateHues,
+  validateConfig,
+  loadConfigFile,
+  parseJson,
+  formatPath,
+};
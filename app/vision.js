@@ -0,0 +1,128 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const tinycolor = require('tinycolor2');
+
+const {srgbToLinear, linearToSrgb, colorDifference} = require('./color-spaces.js');
+
+// color vision deficiencies the palette can be previewed with. The dichromacies
+// use Machado et al. (2009) matrices at full severity, over linear RGB.
+const CVD_SIMULATIONS = [
+  {
+    id: 'protanopia',
+    title: 'Protanopia',
+    description: 'no red cones',
+    matrix: [
+      [0.152286, 1.052583, -0.204868],
+      [0.114503, 0.786281, 0.099216],
+      [-0.003882, -0.048116, 1.051998],
+    ],
+  },
+  {
+    id: 'deuteranopia',
+    title: 'Deuteranopia',
+    description: 'no green cones',
+    matrix: [
+      [0.367322, 0.860646, -0.227968],
+      [0.280085, 0.672501, 0.047413],
+      [-0.011820, 0.042940, 0.968881],
+    ],
+  },
+  {
+    id: 'tritanopia',
+    title: 'Tritanopia',
+    description: 'no blue cones',
+    matrix: [
+      [1.255528, -0.076749, -0.178779],
+      [-0.078411, 0.930809, 0.147602],
+      [0.004733, 0.691367, 0.303900],
+    ],
+  },
+  {
+    id: 'achromatopsia',
+    title: 'Achromatopsia',
+    description: 'no color vision',
+    // every channel becomes the luminance
+    matrix: [
+      [0.2126729, 0.7151522, 0.0721750],
+      [0.2126729, 0.7151522, 0.0721750],
+      [0.2126729, 0.7151522, 0.0721750],
+    ],
+  },
+];
+
+// colors at least this far apart (CIEDE2000) are easy to tell apart...
+const CONFUSABLE_MIN_ORIGINAL_DELTA_E = 15;
+// ...but closer than this after simulation are nearly identical
+const CONFUSABLE_MAX_DELTA_E = 8;
+
+
+function getCvdSimulation(simulationId) {
+  return CVD_SIMULATIONS.find(({id}) => id === simulationId) || null;
+}
+
+
+/**
+ * Returns a color as it looks with a color vision deficiency (see
+ * CVD_SIMULATIONS), as a tinycolor with the same alpha.
+ */
+function simulateCvd(color, simulationId) {
+  color = tinycolor(color);
+  let {matrix} = getCvdSimulation(simulationId);
+  let {r, g, b, a} = color.toRgb();
+  let linear = [r, g, b].map(c => srgbToLinear(c / 255));
+  let [sr, sg, sb] = matrix.map(row =>
+      Math.round(255 * Math.min(1, Math.max(0, linearToSrgb(
+          row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2])))));
+  return tinycolor({r: sr, g: sg, b: sb, a});
+}
+
+
+/**
+ * Returns the pairs of colors (objects with a hex, which should be opaque)
+ * that are easy to tell apart, but nearly identical with a color vision
+ * deficiency, as [{a, b, deltaE, originalDeltaE}], the most confusable first.
+ */
+function findConfusablePairs(values, simulationId) {
+  let simulated = values.map(value => simulateCvd(value.hex, simulationId));
+  let pairs = [];
+  for (let i = 0; i < values.length; i++) {
+    for (let j = i + 1; j < values.length; j++) {
+      let deltaE = colorDifference(simulated[i], simulated[j]);
+      if (deltaE >= CONFUSABLE_MAX_DELTA_E) {
+        continue;
+      }
+
+      let originalDeltaE = colorDifference(values[i].hex, values[j].hex);
+      if (originalDeltaE >= CONFUSABLE_MIN_ORIGINAL_DELTA_E) {
+        pairs.push({a: values[i], b: values[j], deltaE, originalDeltaE});
+      }
+    }
+  }
+
+  return pairs.sort((p1, p2) => (p1.deltaE - p2.deltaE));
+}
+
+
+module.exports = {
+  CVD_SIMULATIONS,
+  getCvdSimulation,
+  simulateCvd,
+  findConfusablePairs,
+};
@@ -75,7 +75,7 @@ gulp.task('copy', () => {
 });
 
 gulp.task('styles', () => {
-  return gulp.src('app/app.scss')
+  return gulp.src(['app/app.scss', 'app/prefs.scss', 'app/editor.scss'])
     .pipe($.sass({
       style: 'expanded',
       precision: 10,
@@ -0,0 +1,90 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {Palette} = require('../app/color-core.js');
+
+const COLORS = {
+  'red': {
+    '400': {hex: '#EF5350'},
+    '500': {hex: '#F44336'},
+    '600': {hex: '#E53935'},
+  },
+  'blue': {
+    '500': {hex: '#2196F3'},
+  },
+  'brand': {
+    '_groups': [
+      {title: 'primary', colors: [{name: 'main', hex: '#f44336'}]},
+    ],
+  },
+};
+
+const names = values => values.map(({hueName, valueName}) => `${hueName} ${valueName}`);
+
+
+describe('Palette.findByHex', () => {
+  let palette = new Palette(COLORS);
+
+  it('finds every color with the hex, in any case', () => {
+    assert.deepStrictEqual(names(palette.findByHex('#f44336')), ['red 500', 'brand main']);
+    assert.deepStrictEqual(names(palette.findByHex('#2196F3')), ['blue 500']);
+  });
+
+  it('accepts other color syntaxes and ignores alpha', () => {
+    assert.deepStrictEqual(names(palette.findByHex('rgb(33, 150, 243)')), ['blue 500']);
+    assert.deepStrictEqual(names(palette.findByHex('rgba(33, 150, 243, .5)')), ['blue 500']);
+  });
+
+  it('returns nothing for colors that aren\'t in the palette', () => {
+    assert.deepStrictEqual(palette.findByHex('#123456'), []);
+  });
+});
+
+
+describe('Palette.findSimilar', () => {
+  let palette = new Palette(COLORS);
+
+  it('returns the closest colors first, with their ΔE', () => {
+    let values = palette.findSimilar('#F24236', {count: 4});
+    assert.deepStrictEqual(names(values), ['red 500', 'brand main', 'red 600', 'red 400']);
+    assert.ok(values[0].deltaE > 0 && values[0].deltaE < 1);
+    values.slice(1).forEach((value, index) => assert.ok(value.deltaE >= values[index].deltaE));
+  });
+
+  it('returns at most count colors', () => {
+    assert.strictEqual(palette.findSimilar('#F44336', {count: 2}).length, 2);
+    assert.deepStrictEqual(palette.findSimilar('#F44336', {count: 0}), []);
+  });
+
+  it('leaves out colors further than maxDeltaE', () => {
+    let values = palette.findSimilar('#F44336', {count: 10, maxDeltaE: 1});
+    assert.deepStrictEqual(names(values), ['red 500', 'brand main']);
+    values.forEach(({deltaE}) => assert.strictEqual(deltaE, 0));
+  });
+
+  it('defaults to the config\'s similarColors', () => {
+    assert.strictEqual(palette.findSimilar('#F44336').length, 3);
+    let configured = new Palette(COLORS, {similarColors: {count: 1}});
+    assert.deepStrictEqual(names(configured.findSimilar('#F44336')), ['red 500']);
+    let strict = new Palette(COLORS, {similarColors: {maxDeltaE: 0}});
+    assert.deepStrictEqual(names(strict.findSimilar('#F44336', {count: 10})), ['red 500', 'brand main']);
+  });
+});
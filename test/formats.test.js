@@ -0,0 +1,101 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {transformName, renderCopyFormat} = require('../app/formats.js');
+
+const RED_500 = {hueName: 'red', valueName: '500', hex: '#f44336'};
+const BLUE_GREY_A200 = {hueName: 'blue-grey', groupName: 'accent', valueName: 'A200', hex: '#78909c'};
+
+
+describe('transformName', () => {
+  it('replaces spaces and dashes with the replacer character', () => {
+    assert.strictEqual(transformName('light-blue', '_X'), 'LIGHT_BLUE');
+    assert.strictEqual(transformName('light blue', '-x'), 'light-blue');
+    assert.strictEqual(transformName('Light Blue', '.x'), 'light.blue');
+  });
+
+  it('deletes spaces with d', () => {
+    assert.strictEqual(transformName('light-blue', 'dXx'), 'LightBlue');
+    assert.strictEqual(transformName('light-blue', 'dx'), 'lightblue');
+  });
+
+  it('uses spaces without a replacer', () => {
+    assert.strictEqual(transformName('light-blue', 'Xx'), 'Light Blue');
+    assert.strictEqual(transformName('light-blue', 'X'), 'LIGHT BLUE');
+    assert.strictEqual(transformName(' light-blue', ' x '), ' light blue');
+  });
+
+  it('returns names unchanged for invalid transforms', () => {
+    for (let transform of ['', 'y', '_Y', '__X', 'xX', null, undefined, 42]) {
+      assert.strictEqual(transformName('light-blue', transform), 'light-blue', String(transform));
+    }
+  });
+});
+
+
+describe('renderCopyFormat', () => {
+  it('applies the format transform to names only', () => {
+    let format = {format: 'MATERIAL_COLOR_$HUE_$VALUE = $HEX', transform: '_X'};
+    assert.strictEqual(renderCopyFormat(format, BLUE_GREY_A200),
+        'MATERIAL_COLOR_BLUE_GREY_ACCENT_A200 = #78909C');
+    assert.strictEqual(renderCopyFormat({format: '$HUE $VALUE'}, RED_500), 'red 500');
+  });
+
+  it('renders color placeholders', () => {
+    assert.strictEqual(renderCopyFormat({format: '$HEX $HEX_NOHASH $ARGB'}, RED_500),
+        '#F44336 F44336 FFF44336');
+    assert.strictEqual(renderCopyFormat({format: 'rgb($R, $G, $B)'}, RED_500), 'rgb(244, 67, 54)');
+    assert.strictEqual(renderCopyFormat({format: 'hsl($H $S% $L%)'}, RED_500), 'hsl(4 90% 58%)');
+  });
+
+  it('doesn\'t read single letter placeholders followed by a letter', () => {
+    assert.strictEqual(renderCopyFormat({format: '$Red $R'}, RED_500), '$Red 244');
+  });
+
+  it('renders alpha', () => {
+    let color = {...RED_500, alpha: .5};
+    assert.strictEqual(renderCopyFormat({format: '$ALPHA% $ALPHA_DECIMAL $ARGB'}, color),
+        '50% 0.5 80F44336');
+    assert.strictEqual(renderCopyFormat({format: '$ALPHA $ALPHA_DECIMAL'}, RED_500), '100 1');
+  });
+
+  it('applies placeholder transforms instead of the format transform', () => {
+    let format = {format: '${HUE|dXx}.${VALUE} ${HEX|x}', transform: '_X'};
+    assert.strictEqual(renderCopyFormat(format, BLUE_GREY_A200), 'BlueGrey.ACCENT_A200 #78909c');
+  });
+
+  it('renders conditional sections', () => {
+    let format = {format: '$HUE${?GROUP} ($GROUP)${/GROUP}${?ALPHA} @ $ALPHA%${/ALPHA}${!ALPHA} opaque${/ALPHA}'};
+    assert.strictEqual(renderCopyFormat(format, RED_500), 'red opaque');
+    assert.strictEqual(renderCopyFormat(format, {...BLUE_GREY_A200, alpha: .38}),
+        'blue-grey (accent) @ 38%');
+  });
+
+  it('treats alpha of 1 as opaque', () => {
+    let format = {format: '${?ALPHA}translucent${/ALPHA}${!ALPHA}opaque${/ALPHA}'};
+    assert.strictEqual(renderCopyFormat(format, {...RED_500, alpha: 1}), 'opaque');
+    assert.strictEqual(renderCopyFormat(format, {...RED_500, alpha: null}), 'opaque');
+  });
+
+  it('keeps unknown placeholders and unclosed sections as text', () => {
+    assert.strictEqual(renderCopyFormat({format: '${NAME} ${/GROUP}$HUE'}, RED_500), '${NAME} ${/GROUP}red');
+  });
+});
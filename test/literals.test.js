@@ -0,0 +1,83 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {Palette} = require('../app/color-core.js');
+const {parseColorLiteral, parseColorInput, findColorLiterals, guessHexOrder} = require('../app/literals.js');
+
+const palette = new Palette({
+  red: {'500': {hex: '#F44336'}},
+  white: {'500': {hex: '#FFFFFF'}},
+});
+
+// what search and the clipboard check pass
+const SEARCH_OPTIONS = {isKnownColor: color => palette.findByHex(color).length > 0};
+
+const rgba = literal => literal && `${literal.syntax} ${literal.color.toRgbString()}`;
+
+
+describe('parseColorLiteral', () => {
+  it('reads 8-digit hex in CSS order by default', () => {
+    assert.strictEqual(rgba(parseColorLiteral('#1A73E880')), 'hex rgba(26, 115, 232, 0.5)');
+    assert.strictEqual(rgba(parseColorLiteral('#FFF44336')), 'hex rgba(255, 244, 67, 0.21)');
+  });
+
+  it('reads Android order when asked', () => {
+    assert.strictEqual(rgba(parseColorLiteral('#80F44336', {hexOrder: 'argb'})),
+        'android-hex rgba(244, 67, 54, 0.5)');
+    assert.strictEqual(rgba(parseColorLiteral('#8F00', {hexOrder: 'argb'})),
+        'android-hex rgba(255, 0, 0, 0.53)');
+  });
+});
+
+
+describe('parseColorInput', () => {
+  it('reads #FFRRGGBB as an opaque Android color', () => {
+    assert.strictEqual(rgba(parseColorInput('#FFF44336', SEARCH_OPTIONS)), 'android-hex rgb(244, 67, 54)');
+    assert.strictEqual(rgba(parseColorInput(' #ff123456 ')), 'android-hex rgb(18, 52, 86)');
+  });
+
+  it('keeps the CSS reading when only it is a known color', () => {
+    assert.strictEqual(rgba(parseColorInput('#FFFFFF14', SEARCH_OPTIONS)), 'hex rgba(255, 255, 255, 0.08)');
+  });
+
+  it('leaves other colors alone', () => {
+    assert.strictEqual(rgba(parseColorInput('#FFFFFFFF', SEARCH_OPTIONS)), 'hex rgb(255, 255, 255)');
+    assert.strictEqual(rgba(parseColorInput('#F4433680', SEARCH_OPTIONS)), 'hex rgba(244, 67, 54, 0.5)');
+    assert.strictEqual(rgba(parseColorInput('rgb(244 67 54)', SEARCH_OPTIONS)), 'css-rgb rgb(244, 67, 54)');
+    assert.strictEqual(parseColorInput('not a color', SEARCH_OPTIONS), null);
+  });
+});
+
+
+describe('guessHexOrder', () => {
+  it('uses Android order for Android sources', () => {
+    assert.strictEqual(guessHexOrder('<resources><color name="a">#80F44336</color></resources>'), 'argb');
+    assert.strictEqual(guessHexOrder('val a = "#80F44336"', {fileName: 'Colors.kt'}), 'argb');
+    assert.strictEqual(guessHexOrder('<svg><rect fill="#F4433680"/></svg>', {fileName: 'a.svg'}), 'rgba');
+    assert.strictEqual(guessHexOrder('a { color: #F4433680; }'), 'rgba');
+  });
+
+  it('is used to scan files', () => {
+    let text = '<resources>\n  <color name="a">#80F44336</color>\n</resources>';
+    assert.deepStrictEqual(findColorLiterals(text, {hexOrder: guessHexOrder(text)}).map(rgba),
+        ['android-hex rgba(244, 67, 54, 0.5)']);
+  });
+});
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const tinycolor = require('tinycolor2');
+
+const {generateRamp} = require('../app/ramp.js');
+
+
+describe('generateRamp', () => {
+  it('places mid-tone colors at 500', () => {
+    let {anchorValueName, ramp} = generateRamp('#F44336');
+    assert.strictEqual(anchorValueName, '500');
+    assert.strictEqual(ramp['500'].hex, '#F44336');
+    assert.deepStrictEqual(Object.keys(ramp), [
+      '50', '100', '200', '300', '400', '500', '600', '700', '800', '900',
+      'a100', 'a200', 'a400', 'a700',
+    ]);
+  });
+
+  it('places very light colors at the value with the closest tone', () => {
+    assert.strictEqual(generateRamp('#FFEBEE').anchorValueName, '50');
+  });
+
+  it('gives gray seeds a gray ramp', () => {
+    for (let seed of ['#FFFFFF', '#F5F5F5', '#808080', '#212121']) {
+      let {ramp} = generateRamp(seed);
+      for (let valueName of Object.keys(ramp)) {
+        let {r, g, b} = tinycolor(ramp[valueName].hex).toRgb();
+        assert.ok(r === g && g === b, `${seed} ${valueName} is ${ramp[valueName].hex}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2020 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {parseDesignTokens, renderDesignTokens} = require('../app/tokens.js');
+
+
+describe('parseDesignTokens', () => {
+  it('converts groups to hues and keeps aliases and descriptions', () => {
+    let {hues, problems} = parseDesignTokens({
+      brand: {
+        $type: 'color',
+        primary: {$value: '#1a73e8', $description: 'Buttons and links'},
+        link: {$value: '{brand.primary}'},
+      },
+    });
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual(hues.brand.primary,
+        {hex: '#1A73E8', token: 'brand.primary', note: 'Buttons and links'});
+    assert.deepStrictEqual(hues.brand.link, {hex: '#1A73E8', token: 'brand.link', aliasOf: 'brand.primary'});
+  });
+
+  it('reports tokens it leaves out', () => {
+    let {hues, problems} = parseDesignTokens({
+      brand: {
+        $type: 'color',
+        primary: {$value: '#1a73e8'},
+        missing: {$value: '{color.nope}'},
+        self: {$value: '{brand.self}'},
+        ping: {$value: '{brand.pong}'},
+        pong: {$value: '{brand.ping}'},
+        bad: {$value: 'not a color'},
+      },
+    }, {file: '~/brand.tokens.json'});
+    assert.deepStrictEqual(Object.keys(hues.brand).filter(key => !key.startsWith('_')), ['primary']);
+    assert.deepStrictEqual(problems, [
+      {file: '~/brand.tokens.json', path: 'brand.missing', message: '{color.nope} isn\'t a color token'},
+      {file: '~/brand.tokens.json', path: 'brand.self', message: 'circular alias: brand.self → brand.self'},
+      {file: '~/brand.tokens.json', path: 'brand.ping',
+        message: 'circular alias: brand.ping → brand.pong → brand.ping'},
+      {file: '~/brand.tokens.json', path: 'brand.pong',
+        message: 'circular alias: brand.pong → brand.ping → brand.pong'},
+      {file: '~/brand.tokens.json', path: 'brand.bad', message: '"not a color" isn\'t a color'},
+    ]);
+  });
+});
+
+
+describe('renderDesignTokens', () => {
+  it('writes notes as descriptions', () => {
+    let doc = JSON.parse(renderDesignTokens([
+      {hueName: 'brand', values: [{valueName: 'primary', hex: '#1a73e8', note: 'Buttons and links'}]},
+    ]));
+    assert.deepStrictEqual(doc.brand.primary, {$value: '#1A73E8', $description: 'Buttons and links'});
+  });
+});